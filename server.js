@@ -1,13 +1,35 @@
 import express from 'express';
 import multer from 'multer';
+import busboy from 'busboy';
+import { WebSocketServer } from 'ws';
 import winston from 'winston';
 import cors from 'cors';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import redisService from './src/services/redis-service.js';
 import jobService from './src/services/job-service.js';
 import ConversionWorker from './src/services/conversion-worker.js';
+import renditionService from './src/services/rendition-service.js';
+import encoderService from './src/services/encoder-service.js';
+import imageDecoder from './src/services/image-decoder.js';
+import storageService from './src/services/storage-service.js';
+import webhookService from './src/services/webhook-service.js';
+import batchService from './src/services/batch-service.js';
+import metadataService from './src/services/metadata-service.js';
+import syncConversionService from './src/services/sync-conversion-service.js';
+import apiKeyService from './src/services/api-key-service.js';
+import quotaService from './src/services/quota-service.js';
+import cacheService from './src/services/cache-service.js';
+import sourceUrlService from './src/services/source-url-service.js';
+import queueService from './src/services/queue-service.js';
+import operationService from './src/services/operation-service.js';
+import conversionPool from './src/services/conversion-pool.js';
+import admissionController from './src/services/admission-controller.js';
+import metricsService from './src/services/metrics-service.js';
+import { getMemoryUsage } from './src/utils/memory.js';
+import { errorCode } from './src/utils/errors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,6 +63,17 @@ const logger = winston.createLogger({
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Which parts of the service this process runs: the HTTP API, the conversion worker, or both
+const SERVICE_ROLES = ['api', 'worker', 'all'];
+const serviceRole = process.env.SERVICE_ROLE || 'all';
+if (!SERVICE_ROLES.includes(serviceRole)) {
+  logger.error(`Invalid SERVICE_ROLE '${serviceRole}' (expected one of: ${SERVICE_ROLES.join(', ')})`);
+  process.exit(1);
+}
+const runsWorker = serviceRole === 'all';
+let httpServer = null;
+let shuttingDown = false;
+
 // Initialize Redis connection
 async function initializeRedis() {
   try {
@@ -62,7 +95,9 @@ async function startWorker() {
     conversionWorker.start().catch(error => {
       logger.error('Worker crashed:', error.message);
       // Restart worker after 5 seconds
-      setTimeout(startWorker, 5000);
+      if (!shuttingDown) {
+        setTimeout(startWorker, 5000);
+      }
     });
     logger.info('Conversion worker started');
   } catch (error) {
@@ -71,7 +106,16 @@ async function startWorker() {
 }
 
 // Middleware
-app.use(cors());
+// Cross-origin access only for the origins in CORS_ORIGINS (comma-separated, or *)
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({
+  origin: corsOrigins.includes('*') ? '*' : (corsOrigins.length ? corsOrigins : false),
+  allowedHeaders: ['Authorization', 'X-API-Key', 'X-Client-Id', 'Content-Type', 'Range', 'If-None-Match'],
+  exposedHeaders: [
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After',
+    'Location', 'Content-Disposition', 'X-Image-Width', 'X-Image-Height', 'X-Crop', 'X-Quality', 'X-SSIM', 'X-Color-Profile', 'X-Processing-Time'
+  ]
+}));
 app.use(express.json());
 
 // Configure multer for memory storage (more efficient for streams)
@@ -80,38 +124,377 @@ const upload = multer({
   storage: storage,
   limits: {
     fileSize: 50 * 1024 * 1024 // 50MB max file size
-  },
-  fileFilter: (req, file, cb) => {
-    // Check if file is a JPEG
-    if (file.mimetype === 'image/jpeg' || file.mimetype === 'image/jpg') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only JPEG files are allowed'), false);
-    }
+  }
+  // No MIME type filter: the input format is sniffed from the file's magic bytes
+});
+
+// Batch uploads can be large (many images or a ZIP), so they are spooled to disk
+const batchUploadDir = path.join(__dirname, 'temp', 'uploads');
+const batchUpload = multer({
+  dest: batchUploadDir,
+  limits: {
+    fileSize: Number(process.env.BATCH_MAX_UPLOAD_MB || 1024) * 1024 * 1024,
+    files: batchService.maxItems
   }
 });
 
-// Utility function to get memory usage
-function getMemoryUsage() {
-  const used = process.memoryUsage();
+// Validate the conversion options shared by POST /convert and POST /batches.
+// Throws with a client-facing message on invalid input.
+function resolveJobOptions(body) {
+  // Point the crops of renditions with gravity `focal` are centred on
+  const focalPoint = renditionService.resolveFocalPoint(body.focalPoint);
+
+  // Requested renditions (preset and/or explicit list)
+  const renditions = renditionService.resolveRenditions({
+    preset: body.preset,
+    renditions: body.renditions,
+    formats: body.formats,
+    gravity: body.gravity,
+    focalPoint
+  });
+
+  // Crop, rotate, watermark, ... steps applied during conversion
+  const operations = operationService.resolveOperations(body.operations);
+
+  // Optional caller-specified output bucket/prefix
+  const output = storageService.resolveOutputLocation({
+    outputBucket: body.outputBucket,
+    outputPrefix: body.outputPrefix
+  });
+
+  // Which metadata to copy from the original into the outputs
+  const metadataPolicy = metadataService.resolvePolicy(body.metadata);
+
+  // Colour profile of the outputs (sRGB or Display P3)
+  const colorProfile = imageDecoder.resolveColorProfile(body.colorProfile);
+
+  // Optional completion callback
+  const callbackUrl = body.callbackUrl ? webhookService.validateCallbackUrl(body.callbackUrl) : undefined;
+
+  // Scheduling priority (interactive, normal or bulk)
+  const priority = queueService.resolvePriority(body.priority);
+
   return {
-    rss: Math.round(used.rss / 1024 / 1024 * 100) / 100, // MB
-    heapTotal: Math.round(used.heapTotal / 1024 / 1024 * 100) / 100, // MB
-    heapUsed: Math.round(used.heapUsed / 1024 / 1024 * 100) / 100, // MB
-    external: Math.round(used.external / 1024 / 1024 * 100) / 100 // MB
+    renditions,
+    focalPoint,
+    operations,
+    output,
+    metadataPolicy,
+    colorProfile,
+    callbackUrl,
+    callbackSecret: callbackUrl ? body.callbackSecret : undefined,
+    priority
   };
 }
 
+// Options to change when re-running a job: only the ones given in the request, validated
+// like POST /convert. Everything else stays as the job had it.
+function resolveJobOverrides(body) {
+  const options = resolveJobOptions(body);
+  const given = (...fields) => fields.some(field => body[field] !== undefined && body[field] !== '');
+
+  const overrides = {};
+  if (given('preset', 'renditions', 'formats', 'gravity')) {
+    overrides.renditions = options.renditions;
+  }
+  if (given('focalPoint')) {
+    overrides.focalPoint = options.focalPoint;
+  }
+  if (given('operations')) {
+    overrides.operations = options.operations;
+  }
+  if (given('outputBucket', 'outputPrefix')) {
+    overrides.output = options.output;
+  }
+  if (given('metadata')) {
+    overrides.metadataPolicy = options.metadataPolicy;
+  }
+  if (given('colorProfile')) {
+    overrides.colorProfile = options.colorProfile;
+  }
+  if (given('callbackUrl')) {
+    overrides.callbackUrl = options.callbackUrl;
+    overrides.callbackSecret = options.callbackSecret;
+  }
+  if (given('priority')) {
+    overrides.priority = options.priority;
+  }
+  return overrides;
+}
+
+// Client a new job belongs to, recorded on it for access checks and GET /jobs?clientId=.
+// Requests with an API key act for the key's client; otherwise X-Client-Id is used as given.
+function resolveClientId(req) {
+  if (req.apiKey && !req.apiKey.admin) {
+    return req.apiKey.clientId;
+  }
+  const clientId = req.get('X-Client-Id');
+  if (clientId === undefined) {
+    return undefined;
+  }
+  if (!/^[A-Za-z0-9._:@-]{1,128}$/.test(clientId)) {
+    throw new Error('Invalid X-Client-Id header (1-128 letters, digits and . _ : @ -)');
+  }
+  return clientId;
+}
+
 // Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
+app.get('/health', async (req, res) => {
+  const health = {
     status: 'healthy',
+    role: serviceRole,
     timestamp: new Date().toISOString(),
     memory: getMemoryUsage(),
+    redis: redisService.isConnected() ? 'connected' : 'disconnected',
+    formats: encoderService.getAvailableFormats(),
+    // The pool also serves POST /convert-sync, so it runs in the api role too
+    conversions: {
+      pool: conversionPool.getStats(),
+      admission: admissionController.getStats()
+    }
+  };
+
+  if (runsWorker) {
+    health.worker = conversionWorker.getStats();
+  }
+
+  // Queue depth and recent wait times per priority
+  try {
+    if (redisService.isConnected()) {
+      health.queues = await jobService.getPriorityStats();
+    }
+  } catch (error) {
+    logger.warn('Failed to read queue stats for health:', error.message);
+  }
+
+  res.json(health);
+});
+
+// Readiness check - can accept conversion requests
+app.get('/ready', (req, res) => {
+  const ready = !shuttingDown && redisService.isConnected();
+  res.status(ready ? 200 : 503).json({
+    ready,
     redis: redisService.isConnected() ? 'connected' : 'disconnected'
   });
 });
 
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
+  try {
+    if (redisService.isConnected()) {
+      metricsService.setQueueDepths(await jobService.getQueueDepths());
+    }
+  } catch (error) {
+    logger.warn('Failed to read queue depths for metrics:', error.message);
+  }
+
+  try {
+    res.set('Content-Type', metricsService.contentType).send(await metricsService.render());
+  } catch (error) {
+    logger.error('Failed to render metrics:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List the server-side rendition presets
+app.get('/presets', (req, res) => {
+  res.json({
+    success: true,
+    presets: renditionService.presets
+  });
+});
+
+// Stand-in key record for requests made with ADMIN_API_KEY: no limits, access to every job
+const ADMIN_KEY = { id: 'admin', admin: true };
+
+// The key a request presents: `Authorization: Bearer <key>` or `X-API-Key`. Browsers can't
+// set headers on EventSource and WebSocket connections, so those may pass `?apiKey=` instead.
+function presentedKey(req, { allowQuery = false } = {}) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  return allowQuery ? new URL(req.url, 'http://localhost').searchParams.get('apiKey') : null;
+}
+
+// The key record a request acts with, or null without a valid key
+async function findApiKey(req, options) {
+  const presented = presentedKey(req, options);
+  if (apiKeyService.isAdminKey(presented)) {
+    return ADMIN_KEY;
+  }
+  return await apiKeyService.authenticate(presented);
+}
+
+function rateLimitHeaders(rate) {
+  return {
+    'RateLimit-Limit': String(rate.limit),
+    'RateLimit-Remaining': String(rate.remaining),
+    'RateLimit-Reset': String(rate.reset),
+    'RateLimit-Policy': `${rate.limit};w=${quotaService.rateWindow}`
+  };
+}
+
+// Every route below needs an API key (unless AUTH_ENABLED=false) and counts against its
+// rate limit. Sets req.apiKey.
+async function authenticate(req, res, next) {
+  if (!apiKeyService.enabled) {
+    return next();
+  }
+
+  try {
+    // Keys and counters live in Redis
+    if (!redisService.isConnected()) {
+      return res.status(503).json({ 
+        error: 'Service temporarily unavailable - job queue not ready' 
+      });
+    }
+
+    const apiKey = await findApiKey(req, { allowQuery: EVENTS_PATH.test(req.path) });
+    if (!apiKey) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+        success: false,
+        error: 'Missing or invalid API key'
+      });
+    }
+    req.apiKey = apiKey;
+
+    const rate = apiKey.admin ? null : await quotaService.consumeRequest(apiKey);
+    if (rate) {
+      res.set(rateLimitHeaders(rate));
+      if (!rate.allowed) {
+        res.set('Retry-After', String(rate.reset));
+        return res.status(429).json({
+          success: false,
+          error: `Rate limit of ${rate.limit} requests per ${quotaService.rateWindow}s exceeded`
+        });
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+app.use(authenticate);
+
+// Whether the caller may see a job or batch: only its own client's, unless it uses the admin
+// key or authentication is disabled
+function canAccess(req, record) {
+  return !req.apiKey || req.apiKey.admin || record.clientId === req.apiKey.clientId;
+}
+
+// Count work against the caller's daily quota. Answers 429 (through `fail`, by default a
+// JSON error) and resolves false when the request would go over it.
+async function reserveQuota(req, res, usage, fail = (status, body) => res.status(status).json({ success: false, ...body })) {
+  if (!req.apiKey || req.apiKey.admin) {
+    return true;
+  }
+  try {
+    await quotaService.reserve(req.apiKey, usage);
+    return true;
+  } catch (error) {
+    if (error.status !== 429) {
+      throw error;
+    }
+    res.set('Retry-After', String(error.retryAfter));
+    fail(429, { error: error.message, quota: error.quota });
+    return false;
+  }
+}
+
+// Admin endpoints need ADMIN_API_KEY itself, whether or not authentication is enabled
+function requireAdmin(req, res, next) {
+  if (!apiKeyService.adminKey) {
+    return res.status(404).json({ success: false, error: 'Admin API is disabled (ADMIN_API_KEY is not set)' });
+  }
+  if (!apiKeyService.isAdminKey(presentedKey(req))) {
+    return res.status(403).json({ success: false, error: 'Admin API key required' });
+  }
+  next();
+}
+
+// Create an API key - the full key is only returned here
+app.post('/admin/keys', requireAdmin, async (req, res) => {
+  let options;
+  try {
+    options = apiKeyService.resolveKeyOptions(req.body || {});
+  } catch (validationError) {
+    return res.status(400).json({ success: false, error: validationError.message });
+  }
+
+  try {
+    const key = await apiKeyService.createKey(options);
+    res.status(201).json({ success: true, ...key });
+  } catch (error) {
+    logger.error('Failed to create API key', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List API keys (without secrets)
+app.get('/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys();
+    res.json({ success: true, keys: keys.map(key => apiKeyService.present(key)) });
+  } catch (error) {
+    logger.error('Failed to list API keys', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// One API key with its client's usage today
+app.get('/admin/keys/:keyId', requireAdmin, async (req, res) => {
+  try {
+    const key = await apiKeyService.getKey(req.params.keyId);
+    if (!key) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, ...apiKeyService.present(key), usage: await quotaService.getUsage(key) });
+  } catch (error) {
+    logger.error('Failed to get API key', { keyId: req.params.keyId, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Change a key's name, limits or client, or disable it
+app.patch('/admin/keys/:keyId', requireAdmin, async (req, res) => {
+  let updates;
+  try {
+    updates = apiKeyService.resolveKeyOptions(req.body || {}, { partial: true });
+  } catch (validationError) {
+    return res.status(400).json({ success: false, error: validationError.message });
+  }
+
+  try {
+    const key = await apiKeyService.updateKey(req.params.keyId, updates);
+    if (!key) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, ...apiKeyService.present(key) });
+  } catch (error) {
+    logger.error('Failed to update API key', { keyId: req.params.keyId, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revoke an API key
+app.delete('/admin/keys/:keyId', requireAdmin, async (req, res) => {
+  try {
+    if (!(await apiKeyService.revokeKey(req.params.keyId))) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, keyId: req.params.keyId, revoked: true });
+  } catch (error) {
+    logger.error('Failed to revoke API key', { keyId: req.params.keyId, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Non-blocking conversion endpoint - Returns job ID immediately
 app.post('/convert', upload.single('image'), async (req, res) => {
   const startTime = Date.now();
@@ -120,12 +503,51 @@ app.post('/convert', upload.single('image'), async (req, res) => {
   logger.info('Conversion request received', {
     requestId,
     filename: req.file?.originalname,
-    fileSize: req.file?.size
+    fileSize: req.file?.size,
+    mimeType: req.file?.mimetype,
+    sourceUrl: req.body?.sourceUrl
   });
 
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image file provided' });
+    // An uploaded image, or a URL the worker downloads it from (JSON body)
+    const sourceUrl = req.body?.sourceUrl;
+    if (!req.file && !sourceUrl) {
+      return res.status(400).json({ error: 'No image file or sourceUrl provided' });
+    }
+    if (req.file && sourceUrl) {
+      return res.status(400).json({ success: false, error: 'Send either an image file or a sourceUrl, not both' });
+    }
+
+    // Identify the input format from its content, not the client-supplied MIME type
+    const sourceFormat = req.file && imageDecoder.detectFormat(req.file.buffer);
+    if (req.file && !sourceFormat) {
+      return res.status(415).json({
+        success: false,
+        error: `Unsupported image format. Supported formats: ${imageDecoder.getFormatNames().join(', ')}`,
+        code: 'INVALID_IMAGE'
+      });
+    }
+
+    // Truncated files and images over the pixel limits are rejected before they are queued
+    if (req.file) {
+      try {
+        await imageDecoder.validate(req.file.buffer, sourceFormat.format);
+      } catch (validationError) {
+        return res.status(422).json({ success: false, error: validationError.message, code: validationError.code });
+      }
+    }
+
+    // Renditions, output location and callback for the job
+    let jobOptions;
+    let clientId;
+    try {
+      jobOptions = resolveJobOptions(req.body);
+      clientId = resolveClientId(req);
+      if (sourceUrl) {
+        sourceUrlService.validateUrl(sourceUrl);
+      }
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message, code: validationError.code });
     }
 
     // Check Redis connection
@@ -135,19 +557,49 @@ app.post('/convert', upload.single('image'), async (req, res) => {
       });
     }
 
-    // Create job with image data
+    if (!(await reserveQuota(req, res, { jobs: 1, bytes: req.file?.size }))) {
+      return;
+    }
+
+    const jobId = jobService.generateJobId();
+    let source;
+    if (req.file) {
+      // Store the upload, the job only keeps its object key
+      const sourceKey = storageService.jobKey(jobId, `source.${sourceFormat.extension}`);
+      await storageService.put(sourceKey, req.file.buffer, { contentType: sourceFormat.mimeType });
+      source = {
+        originalName: req.file.originalname,
+        sourceKey,
+        fileSize: req.file.size,
+        sourceFormat: sourceFormat.format,
+        cacheKey: cacheService.keyFor(req.file.buffer, jobOptions, clientId)
+      };
+    } else {
+      // The worker downloads the image, counting it against the key's quota
+      source = {
+        originalName: sourceUrlService.fileName(sourceUrl),
+        sourceUrl,
+        meterDownload: Boolean(req.apiKey && !req.apiKey.admin)
+      };
+    }
+
     const job = await jobService.createJob({
-      originalName: req.file.originalname,
-      imageData: req.file.buffer.toString('base64'),
-      fileSize: req.file.size,
+      id: jobId,
+      ...source,
+      ...jobOptions,
+      clientId,
       requestId
     });
+    if (job.status === 'completed') {
+      webhookService.notifyInBackground(job);
+    }
 
     const processingTime = Date.now() - startTime;
 
     logger.info('Job created successfully', {
       requestId,
       jobId: job.id,
+      cacheHit: Boolean(job.cacheHit),
       processingTime
     });
 
@@ -155,8 +607,10 @@ app.post('/convert', upload.single('image'), async (req, res) => {
     res.json({
       success: true,
       jobId: job.id,
-      status: 'queued',
-      message: 'Image queued for conversion',
+      status: job.status,
+      cacheHit: Boolean(job.cacheHit),
+      message: job.cacheHit ? 'Image converted from a cached result' : 'Image queued for conversion',
+      renditions: jobOptions.renditions.map(rendition => rendition.name),
       processingTime,
       statusUrl: `/status/${job.id}`
     });
@@ -192,7 +646,7 @@ app.get('/status/:jobId', async (req, res) => {
 
     const job = await jobService.getJobStatus(jobId);
     
-    if (!job) {
+    if (!job || !canAccess(req, job)) {
       return res.status(404).json({
         success: false,
         error: 'Job not found'
@@ -200,15 +654,17 @@ app.get('/status/:jobId', async (req, res) => {
     }
 
     // Return job status and results if completed
+    const summary = jobService.getJobSummary(job);
+
+    // Waiting jobs also get the current state of their priority's queue
+    if (job.status === 'queued' || job.status === 'retrying') {
+      const stats = await jobService.getPriorityStats();
+      summary.queue = { priority: summary.priority, ...stats[summary.priority] };
+    }
+
     res.json({
       success: true,
-      jobId: job.id,
-      status: job.status,
-      createdAt: job.createdAt,
-      updatedAt: job.updatedAt,
-      processingTime: job.processingTime,
-      results: job.results,
-      error: job.error
+      ...summary
     });
 
   } catch (error) {
@@ -224,87 +680,1082 @@ app.get('/status/:jobId', async (req, res) => {
   }
 });
 
-// Legacy synchronous endpoint for backward compatibility (deprecated)
-app.post('/convert-sync', upload.single('image'), async (req, res) => {
-  res.status(410).json({
-    success: false,
-    error: 'Synchronous conversion endpoint deprecated. Use POST /convert and GET /status/:jobId instead.',
-    migration: {
-      step1: 'POST /convert - returns jobId immediately',
-      step2: 'GET /status/:jobId - check status and get results'
+// Parse a time filter of GET /jobs: an ISO 8601 date or milliseconds since the epoch
+function parseTimeFilter(value, name) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid ${name} '${value}'. Expected an ISO 8601 date or milliseconds since the epoch`);
+  }
+  return time;
+}
+
+// Job listing endpoint - newest first, filtered by status, creation time and client
+app.get('/jobs', async (req, res) => {
+  let filters;
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim()) : undefined;
+    const invalidStatus = statuses?.find(status => !jobService.statuses.includes(status));
+    if (invalidStatus) {
+      throw new Error(`Invalid status '${invalidStatus}'. Expected one of: ${jobService.statuses.join(', ')}`);
     }
-  });
-});
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File too large. Maximum size is 50MB.' });
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      throw new Error('limit must be an integer between 1 and 200');
     }
-  }
-  
-  logger.error('Unhandled error', {
-    error: error.message,
-    stack: error.stack
-  });
-  
-  res.status(500).json({ error: 'Internal server error' });
-});
 
-// Initialize imagemin for AVIF conversion
-logger.info('AVIF converter initialized');
-logger.info('AVIF support: YES (via imagemin-avif)');
+    filters = {
+      statuses,
+      // Clients only see their own jobs
+      clientId: req.apiKey && !req.apiKey.admin ? req.apiKey.clientId : (req.query.clientId || undefined),
+      from: parseTimeFilter(req.query.from, 'from'),
+      to: parseTimeFilter(req.query.to, 'to'),
+      limit,
+      cursor: req.query.cursor || undefined
+    };
+    if (filters.cursor) {
+      jobService.decodeCursor(filters.cursor);
+    }
+  } catch (validationError) {
+    return res.status(400).json({ success: false, error: validationError.message });
+  }
 
-// Start server with Redis initialization
-async function startServer() {
   try {
-    // Initialize Redis connection
-    await initializeRedis();
-    
-    // Start conversion worker
-    await startWorker();
-    
-    // Start HTTP server
-    app.listen(port, () => {
-      logger.info(`Non-blocking JPEG to AVIF conversion service started on port ${port}`, {
-        port,
-        nodeVersion: process.version,
-        initialMemory: getMemoryUsage(),
-        redis: redisService.isConnected() ? 'connected' : 'disconnected'
+    // Check Redis connection
+    if (!redisService.isConnected()) {
+      return res.status(503).json({ 
+        error: 'Service temporarily unavailable - job queue not ready' 
       });
+    }
+
+    const { jobs, nextCursor } = await jobService.listJobs(filters);
+
+    res.json({
+      success: true,
+      jobs: jobs.map(job => jobService.getJobSummary(job)),
+      nextCursor
     });
-    
+
   } catch (error) {
-    logger.error('Failed to start server:', error.message);
-    process.exit(1);
+    logger.error('Failed to list jobs', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Remove a job's source and the outputs in the service's own storage. Outputs written to a
+// caller-specified location belong to the caller and are left alone, as are outputs shared
+// through the result cache: those of another job, or ones other jobs still use.
+async function removeJobObjects(job) {
+  const keys = [job.sourceKey];
+  const sharedOutputs = job.cachedFrom || (await cacheService.isReferenced(job.id));
+  if (!job.output && !sharedOutputs) {
+    for (const rendition of Object.values(job.results?.renditions || {})) {
+      keys.push(...Object.values(rendition.formats).map(output => output.key));
+    }
+  }
+
+  for (const key of keys.filter(Boolean)) {
+    await storageService.delete(key);
   }
 }
 
-// Start the server
-startServer();
+// Job cancel/delete endpoint - cancels an unfinished job, deletes a finished one
+app.delete('/jobs/:jobId', async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    // Check Redis connection
+    if (!redisService.isConnected()) {
+      return res.status(503).json({ 
+        error: 'Service temporarily unavailable - job queue not ready' 
+      });
+    }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('Received SIGTERM, shutting down gracefully');
-  
-  // Stop conversion worker
-  await conversionWorker.stop();
-  
-  // Disconnect from Redis
-  await redisService.disconnect();
-  
-  process.exit(0);
-});
+    const job = await jobService.getJobStatus(jobId);
 
-process.on('SIGINT', async () => {
-  logger.info('Received SIGINT, shutting down gracefully');
-  
-  // Stop conversion worker
-  await conversionWorker.stop();
-  
-  // Disconnect from Redis
-  await redisService.disconnect();
-  
-  process.exit(0);
-});
\ No newline at end of file
+    if (!job || !canAccess(req, job)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (!jobService.finalStatuses.includes(job.status)) {
+      const cancelledJob = await jobService.cancelJob(jobId);
+
+      // A processing job stops at its next step; watch its status for `cancelled`
+      if (cancelledJob.status === 'processing') {
+        return res.status(202).json({
+          success: true,
+          jobId,
+          status: cancelledJob.status,
+          cancelRequested: true,
+          message: 'Cancellation requested, the job stops at its next step',
+          statusUrl: `/status/${jobId}`
+        });
+      }
+
+      logger.info('Job cancelled', { jobId });
+      return res.json({
+        success: true,
+        jobId,
+        status: cancelledJob.status,
+        message: 'Job cancelled'
+      });
+    }
+
+    await removeJobObjects(job);
+    await jobService.deleteJob(jobId);
+
+    res.json({
+      success: true,
+      jobId,
+      deleted: true,
+      message: 'Job and its stored images deleted'
+    });
+
+  } catch (error) {
+    logger.error('Failed to cancel or delete job', {
+      jobId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Job re-run endpoint - queues a failed or cancelled job again from its stored source,
+// with its original options or the ones given in the request
+app.post('/jobs/:jobId/retry', upload.none(), async (req, res) => {
+  const { jobId } = req.params;
+
+  let overrides;
+  try {
+    overrides = resolveJobOverrides(req.body || {});
+  } catch (validationError) {
+    return res.status(400).json({ success: false, error: validationError.message });
+  }
+
+  try {
+    // Check Redis connection
+    if (!redisService.isConnected()) {
+      return res.status(503).json({ 
+        error: 'Service temporarily unavailable - job queue not ready' 
+      });
+    }
+
+    const job = await jobService.getJobStatus(jobId);
+
+    if (!job || !canAccess(req, job)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Only failed or cancelled jobs can be re-run (job is ${job.status})`
+      });
+    }
+
+    // A URL job that never got its source fetches it again
+    try {
+      if (job.sourceKey || !job.sourceUrl) {
+        await storageService.stat(job.sourceKey);
+      }
+    } catch (storageError) {
+      if (storageError.code === 'ENOENT') {
+        return res.status(410).json({
+          success: false,
+          error: 'The source image is no longer available in storage'
+        });
+      }
+      throw storageError;
+    }
+
+    if (!(await reserveQuota(req, res, { jobs: 1 }))) {
+      return;
+    }
+
+    const queuedJob = await jobService.rerunJob(jobId, overrides);
+    if (queuedJob.status === 'completed') {
+      webhookService.notifyInBackground(queuedJob);
+    }
+
+    logger.info('Job queued again', {
+      jobId,
+      runs: queuedJob.runs,
+      overrides: Object.keys(overrides)
+    });
+
+    res.json({
+      success: true,
+      jobId,
+      status: queuedJob.status,
+      cacheHit: Boolean(queuedJob.cacheHit),
+      message: queuedJob.cacheHit ? 'Job completed from a cached result' : 'Job queued for another run',
+      renditions: queuedJob.renditions.map(rendition => rendition.name),
+      runs: queuedJob.runs,
+      statusUrl: `/status/${jobId}`
+    });
+
+  } catch (error) {
+    logger.error('Failed to re-run job', {
+      jobId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Forward a job's events to `send`, starting with its current status, and call `end` after
+// the final one. Resolves with a function that stops watching, or null if the job doesn't
+// exist or belongs to another client.
+async function watchJobEvents(req, jobId, send, end) {
+  const job = await jobService.getJobStatus(jobId);
+  if (!job || !canAccess(req, job)) {
+    return null;
+  }
+
+  let finished = false;
+  let unsubscribe = null;
+  const stop = async () => {
+    finished = true;
+    const current = unsubscribe;
+    unsubscribe = null;
+    try {
+      await current?.();
+    } catch (error) {
+      logger.warn('Failed to unsubscribe from job events', { jobId, error: error.message });
+    }
+  };
+
+  unsubscribe = await jobService.watchJob(jobId, (event) => {
+    if (finished) {
+      return;
+    }
+    send(event);
+    if (event.type === 'status' && jobService.finalStatuses.includes(event.job.status)) {
+      finished = true;
+      end();
+    }
+  });
+  if (!unsubscribe) {
+    return null;
+  }
+  // Already over (final status in the snapshot, or the client left) before we were subscribed
+  if (finished) {
+    await stop();
+  }
+  return stop;
+}
+
+// Job events endpoint - Server-Sent Events stream of status changes and conversion progress
+app.get('/jobs/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    // Check Redis connection
+    if (!redisService.isConnected()) {
+      return res.status(503).json({ 
+        error: 'Service temporarily unavailable - job queue not ready' 
+      });
+    }
+
+    let eventId = 0;
+    const send = (event) => {
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive',
+          // Don't let proxies buffer the stream
+          'X-Accel-Buffering': 'no'
+        });
+      }
+      res.write(`id: ${++eventId}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Comment lines keep idle connections from being dropped by proxies
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let stop = null;
+    let closed = false;
+    const close = () => {
+      closed = true;
+      clearInterval(keepAlive);
+      stop?.();
+    };
+    req.on('close', close);
+
+    stop = await watchJobEvents(req, jobId, send, () => res.end());
+    if (!stop) {
+      clearInterval(keepAlive);
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    if (closed) {
+      stop();
+    }
+
+  } catch (error) {
+    logger.error('Failed to stream job events', {
+      jobId,
+      error: error.message
+    });
+
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// WebSocket equivalent of GET /jobs/:jobId/events: one JSON message per event
+const eventSockets = new WebSocketServer({ noServer: true });
+const EVENTS_PATH = /^\/jobs\/([^/]+)\/events$/;
+
+eventSockets.on('connection', async (socket, req, jobId) => {
+  let stop = null;
+  socket.on('close', () => stop?.());
+  socket.on('error', (error) => {
+    logger.warn('Job events socket error', { jobId, error: error.message });
+  });
+
+  try {
+    stop = await watchJobEvents(
+      req,
+      jobId,
+      event => socket.send(JSON.stringify(event)),
+      () => socket.close(1000, 'Job finished')
+    );
+    if (!stop) {
+      return socket.close(4404, 'Job not found');
+    }
+    if (socket.readyState !== socket.OPEN) {
+      stop();
+    }
+  } catch (error) {
+    logger.error('Failed to stream job events', {
+      jobId,
+      error: error.message
+    });
+    socket.close(1011, 'Failed to watch job');
+  }
+});
+
+// Upgrades are authenticated and rate limited like GET /jobs/:jobId/events
+async function handleUpgrade(req, socket, head) {
+  const match = EVENTS_PATH.exec(new URL(req.url, 'http://localhost').pathname);
+  if (!match) {
+    socket.destroy();
+    return;
+  }
+  const reject = (status) => socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+  if (!redisService.isConnected()) {
+    return reject('503 Service Unavailable');
+  }
+
+  try {
+    if (apiKeyService.enabled) {
+      req.apiKey = await findApiKey(req, { allowQuery: true });
+      if (!req.apiKey) {
+        return reject('401 Unauthorized');
+      }
+      const rate = req.apiKey.admin ? null : await quotaService.consumeRequest(req.apiKey);
+      if (rate && !rate.allowed) {
+        return reject('429 Too Many Requests');
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to authenticate WebSocket upgrade', { error: error.message });
+    return reject('500 Internal Server Error');
+  }
+
+  eventSockets.handleUpgrade(req, socket, head, (ws) => {
+    eventSockets.emit('connection', ws, req, decodeURIComponent(match[1]));
+  });
+}
+
+// Rendition download endpoint - streams the raw bytes of one rendition output
+app.get('/jobs/:jobId/renditions/:name', async (req, res) => {
+  const { jobId, name } = req.params;
+
+  try {
+    // Check Redis connection
+    if (!redisService.isConnected()) {
+      return res.status(503).json({ 
+        error: 'Service temporarily unavailable - job queue not ready' 
+      });
+    }
+
+    const job = await jobService.getJobStatus(jobId);
+
+    if (!job || !canAccess(req, job)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: `Job is ${job.status}, renditions are available once it has completed`
+      });
+    }
+
+    const rendition = job.results?.renditions?.[name];
+    if (!rendition) {
+      return res.status(404).json({
+        success: false,
+        error: `Rendition '${name}' not found`
+      });
+    }
+
+    // Default to the first format produced for the rendition
+    const format = req.query.format || Object.keys(rendition.formats)[0];
+    const output = rendition.formats[format];
+    if (!output) {
+      return res.status(404).json({
+        success: false,
+        error: `Rendition '${name}' has no '${format}' output. Available: ${Object.keys(rendition.formats).join(', ')}`
+      });
+    }
+
+    const size = output.size;
+
+    res.set({
+      'ETag': `"${output.etag}"`,
+      'Last-Modified': new Date(job.updatedAt).toUTCString()
+    });
+
+    // Conditional request - the client already has these bytes
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    // Single byte ranges are honoured; multi-range requests get the full body
+    const ranges = req.headers.range ? req.range(size, { combine: true }) : undefined;
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+
+    let stream;
+    try {
+      stream = await storageService.createReadStream(output.key, {
+        bucket: output.bucket,
+        start: range?.start,
+        end: range?.end
+      });
+    } catch (storageError) {
+      if (storageError.code === 'ENOENT') {
+        res.removeHeader('ETag');
+        res.removeHeader('Last-Modified');
+        return res.status(410).json({
+          success: false,
+          error: `Rendition '${name}' is no longer available in storage`
+        });
+      }
+      throw storageError;
+    }
+
+    const disposition = req.query.download ? 'attachment' : 'inline';
+    res.set({
+      'Content-Type': output.mimeType,
+      'Content-Disposition': `${disposition}; filename="${output.filename.replace(/["\\]/g, '_')}"`,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, max-age=86400'
+    });
+
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+        'Content-Length': range.end - range.start + 1
+      });
+    } else {
+      res.set('Content-Length', size);
+    }
+
+    stream.on('error', (streamError) => {
+      logger.error('Rendition stream failed', { jobId, rendition: name, error: streamError.message });
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    logger.error('Failed to download rendition', {
+      jobId,
+      rendition: name,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Batch conversion endpoint - one child job per image, from many files and/or ZIP archives
+app.post('/batches', batchUpload.fields([
+  { name: 'images' },
+  { name: 'archive', maxCount: 1 }
+]), async (req, res) => {
+  const startTime = Date.now();
+  const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const files = [...(req.files?.images || []), ...(req.files?.archive || [])];
+
+  logger.info('Batch request received', {
+    requestId,
+    files: files.length,
+    totalSize: files.reduce((sum, file) => sum + file.size, 0)
+  });
+
+  try {
+    if (!files.length) {
+      return res.status(400).json({ success: false, error: 'No images provided (use the images or archive field)' });
+    }
+
+    let jobOptions;
+    try {
+      jobOptions = { ...resolveJobOptions(req.body), clientId: resolveClientId(req) };
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    // Check Redis connection
+    if (!redisService.isConnected()) {
+      return res.status(503).json({ 
+        error: 'Service temporarily unavailable - job queue not ready' 
+      });
+    }
+
+    // The upload counts against the daily quota as a whole; images beyond the remaining
+    // job quota are skipped
+    const quotaApplies = req.apiKey && !req.apiKey.admin;
+    const uploadSize = files.reduce((sum, file) => sum + file.size, 0);
+    if (!(await reserveQuota(req, res, { jobs: 1, bytes: uploadSize }))) {
+      return;
+    }
+    const quotaItems = quotaApplies ? (await quotaService.remaining(req.apiKey)).jobs + 1 : Infinity;
+
+    const batch = await batchService.createBatch({ files, jobOptions, requestId, quotaItems });
+    if (quotaApplies) {
+      // One job was reserved above
+      await quotaService.record(req.apiKey, { jobs: batch.items.length - 1 });
+    }
+
+    if (!batch.items.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'No convertible images in the upload',
+        rejected: batch.rejected
+      });
+    }
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info('Batch created successfully', {
+      requestId,
+      batchId: batch.id,
+      items: batch.items.length,
+      rejected: batch.rejected.length,
+      processingTime
+    });
+
+    res.json({
+      success: true,
+      batchId: batch.id,
+      status: 'queued',
+      total: batch.items.length,
+      items: batch.items,
+      rejected: batch.rejected,
+      processingTime,
+      statusUrl: `/batches/${batch.id}`
+    });
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error('Failed to create batch', {
+      requestId,
+      error: error.message,
+      processingTime
+    });
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      processingTime
+    });
+  } finally {
+    // Uploads are in storage now (or rejected); drop the spooled files
+    for (const file of files) {
+      fs.promises.unlink(file.path).catch(() => {});
+    }
+  }
+});
+
+// Batch status endpoint - aggregate progress and per-image status
+app.get('/batches/:batchId', async (req, res) => {
+  const { batchId } = req.params;
+
+  try {
+    // Check Redis connection
+    if (!redisService.isConnected()) {
+      return res.status(503).json({ 
+        error: 'Service temporarily unavailable - job queue not ready' 
+      });
+    }
+
+    const batch = await batchService.getBatch(batchId);
+
+    if (!batch || !canAccess(req, batch)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...await batchService.getBatchSummary(batch)
+    });
+
+  } catch (error) {
+    logger.error('Failed to get batch status', {
+      batchId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Batch download endpoint - a ZIP of every rendition of the batch's completed images
+app.get('/batches/:batchId/download', async (req, res) => {
+  const { batchId } = req.params;
+
+  try {
+    // Check Redis connection
+    if (!redisService.isConnected()) {
+      return res.status(503).json({ 
+        error: 'Service temporarily unavailable - job queue not ready' 
+      });
+    }
+
+    const batch = await batchService.getBatch(batchId);
+
+    if (!batch || !canAccess(req, batch)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    const summary = await batchService.getBatchSummary(batch);
+    if (!batchService.isFinished(summary)) {
+      return res.status(409).json({
+        success: false,
+        error: `Batch is ${summary.status} (${summary.progress}% done), it can be downloaded once every image has finished`
+      });
+    }
+    if (!summary.counts.completed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch has no completed images'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="batch-${batch.id}.zip"`,
+      'Cache-Control': 'private, no-cache'
+    });
+
+    await batchService.writeArchive(batch, res);
+
+  } catch (error) {
+    logger.error('Failed to download batch', {
+      batchId,
+      error: error.message
+    });
+
+    if (res.headersSent) {
+      // Part of the archive is already out; cut the connection so the client sees a failure
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Open a /convert-sync upload without buffering it: a multipart form with the image in the
+// `image` field (option fields have to come before it), or the raw image as the request body.
+// Resolves with { stream, fields, filename }.
+function openSyncUpload(req) {
+  if (!req.is('multipart/form-data')) {
+    return Promise.resolve({ stream: req, fields: {}, filename: req.query.filename });
+  }
+
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    const parser = busboy({ headers: req.headers, limits: { files: 1 } });
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+    parser.on('file', (name, stream, { filename }) => {
+      if (name !== 'image') {
+        stream.resume();
+        return;
+      }
+      resolve({ stream, fields, filename });
+    });
+    // Only reached without an image: the image stream is consumed by the caller first
+    parser.on('close', () => reject(new Error('No image file provided')));
+    parser.on('error', reject);
+    req.pipe(parser);
+  });
+}
+
+// The single rendition a /convert-sync request asks for
+function syncRendition(options) {
+  const rendition = {
+    name: 'image',
+    width: options.width,
+    height: options.height,
+    fit: options.fit,
+    quality: options.quality,
+    targetBytes: options.targetBytes,
+    targetSsim: options.targetSsim,
+    effort: options.effort,
+    chromaSubsampling: options.chromaSubsampling,
+    formats: [options.format || 'avif']
+  };
+  return Object.fromEntries(Object.entries(rendition).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+// Synchronous conversion for small images: streams the upload in and the converted image
+// back. Uploads over the size, pixel or time budget are queued instead (202 with a job ID).
+app.post('/convert-sync', async (req, res) => {
+  const startTime = Date.now();
+  const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  // Stop reading the upload once we've answered early
+  const fail = (status, body) => {
+    req.unpipe();
+    req.resume();
+    res.status(status).json({ success: false, ...body });
+  };
+
+  try {
+    let upload;
+    try {
+      upload = await openSyncUpload(req);
+    } catch (uploadError) {
+      return fail(400, { error: uploadError.message });
+    }
+
+    // Options come from the query string and/or the form fields
+    const options = { ...req.query, ...upload.fields };
+    let jobOptions;
+    let clientId;
+    try {
+      jobOptions = resolveJobOptions({ ...options, preset: undefined, renditions: [syncRendition(options)] });
+      clientId = resolveClientId(req);
+    } catch (validationError) {
+      return fail(400, { error: validationError.message });
+    }
+    const [rendition] = jobOptions.renditions;
+    const originalName = upload.filename || `image.${rendition.formats[0]}`;
+
+    const { buffer, complete, stream } = await syncConversionService.readUpload(upload.stream);
+    const sourceFormat = imageDecoder.detectFormat(buffer);
+    if (!sourceFormat) {
+      return fail(415, {
+        error: `Unsupported or unrecognized image format. Supported formats: ${imageDecoder.getFormatNames().join(', ')}`,
+        code: 'INVALID_IMAGE'
+      });
+    }
+
+    // Only the header of an upload over the sync size budget has been read; the rest of it is
+    // checked by the worker
+    let dimensions;
+    try {
+      dimensions = await imageDecoder.validate(buffer, sourceFormat.format, { partial: !complete });
+    } catch (validationError) {
+      return fail(422, { error: validationError.message, code: validationError.code });
+    }
+
+    if (!(await reserveQuota(req, res, { jobs: 1, bytes: buffer.length }, fail))) {
+      return;
+    }
+
+    let fallback;
+    if (!complete) {
+      fallback = syncConversionService.fallbackError(
+        'size',
+        `Image is over the ${syncConversionService.maxBytes / 1024 / 1024}MB limit for synchronous conversion`
+      );
+    } else {
+      try {
+        const result = await syncConversionService.convert({
+          inputBuffer: buffer,
+          sourceFormat: sourceFormat.format,
+          dimensions,
+          rendition,
+          focalPoint: jobOptions.focalPoint,
+          operations: jobOptions.operations,
+          metadataPolicy: jobOptions.metadataPolicy,
+          colorProfile: jobOptions.colorProfile,
+          requestId
+        });
+
+        const processingTime = Date.now() - startTime;
+        logger.info('Synchronous conversion completed', {
+          requestId,
+          format: result.format,
+          size: result.size,
+          processingTime
+        });
+
+        const filename = `${path.parse(originalName).name}.${encoderService.getFormat(result.format).extension}`;
+        res.set({
+          'Content-Type': result.mimeType,
+          'Content-Length': result.size,
+          'Content-Disposition': `inline; filename="${filename.replace(/["\\]/g, '_')}"`,
+          'X-Image-Width': result.width,
+          'X-Image-Height': result.height,
+          'X-Color-Profile': imageDecoder.colorProfiles[result.colorProfile],
+          'X-Processing-Time': processingTime
+        });
+        // Part of the image the output was cut from, as x,y,width,height
+        if (result.crop) {
+          res.set('X-Crop', [result.crop.x, result.crop.y, result.crop.width, result.crop.height].join(','));
+        }
+        // Encoder quality used, and the output's SSIM when a target mode measured it
+        res.set('X-Quality', result.encoding.quality);
+        if (result.encoding.ssim !== undefined) {
+          res.set('X-SSIM', result.encoding.ssim);
+        }
+        const output = fs.createReadStream(result.file);
+        output.on('error', error => res.destroy(error));
+        res.on('close', () => syncConversionService.cleanup(result));
+        return output.pipe(res);
+      } catch (conversionError) {
+        if (!conversionError.fallback) {
+          throw conversionError;
+        }
+        fallback = conversionError;
+      }
+    }
+
+    // Over budget: queue the image like POST /convert
+    if (!redisService.isConnected()) {
+      return fail(503, { error: 'Service temporarily unavailable - job queue not ready' });
+    }
+
+    const jobId = jobService.generateJobId();
+    const sourceKey = storageService.jobKey(jobId, `source.${sourceFormat.extension}`);
+    const received = { bytes: 0, hash: crypto.createHash('sha256') };
+    try {
+      // The rest of an oversized upload goes straight to storage
+      await storageService.put(
+        sourceKey,
+        complete ? buffer : syncConversionService.limitUpload(stream, received),
+        { contentType: sourceFormat.mimeType }
+      );
+    } catch (storageError) {
+      if (received.bytes > 50 * 1024 * 1024) {
+        await storageService.delete(sourceKey).catch(() => {});
+        return fail(400, { error: 'File too large. Maximum size is 50MB.' });
+      }
+      throw storageError;
+    }
+    // Only the part read before the fallback was counted; the rest has to fit in the quota
+    // as well, as for POST /convert
+    if (!complete && !(await reserveQuota(req, res, { bytes: received.bytes - buffer.length }, fail))) {
+      await storageService.delete(sourceKey).catch(() => {});
+      // No job is created, so it doesn't count
+      await quotaService.record(req.apiKey, { jobs: -1 });
+      return;
+    }
+
+    const job = await jobService.createJob({
+      id: jobId,
+      originalName,
+      sourceKey,
+      fileSize: complete ? buffer.length : received.bytes,
+      sourceFormat: sourceFormat.format,
+      ...jobOptions,
+      clientId,
+      requestId,
+      cacheKey: cacheService.keyFor(complete ? buffer : received.hash.digest('hex'), jobOptions, clientId)
+    });
+    if (job.status === 'completed') {
+      webhookService.notifyInBackground(job);
+    }
+
+    const processingTime = Date.now() - startTime;
+    logger.info('Synchronous conversion over budget, job queued', {
+      requestId,
+      jobId: job.id,
+      reason: fallback.fallback,
+      processingTime
+    });
+
+    res.status(202).location(`/status/${job.id}`).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      cacheHit: Boolean(job.cacheHit),
+      message: job.cacheHit ? 'Image converted from a cached result' : 'Image queued for conversion',
+      reason: fallback.fallback,
+      detail: fallback.message,
+      renditions: [rendition.name],
+      processingTime,
+      statusUrl: `/status/${job.id}`
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error('Synchronous conversion failed', {
+      requestId,
+      error: error.message,
+      processingTime
+    });
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    fail(error.retryable === false ? 422 : 500, { error: error.message, code: errorCode(error), processingTime });
+  }
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      if (req.path === '/batches') {
+        return res.status(400).json({ error: `File too large. Maximum batch upload size is ${process.env.BATCH_MAX_UPLOAD_MB || 1024}MB.` });
+      }
+      return res.status(400).json({ error: 'File too large. Maximum size is 50MB.' });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ error: `Too many files. A batch holds at most ${batchService.maxItems} images.` });
+    }
+  }
+  
+  logger.error('Unhandled error', {
+    error: error.message,
+    stack: error.stack
+  });
+  
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+// Report available output encoders
+logger.info('Image encoders initialized');
+logger.info(`Output formats available: ${encoderService.getAvailableFormats().join(', ')}`);
+
+// Start server with Redis initialization
+async function startServer() {
+  try {
+    // Initialize Redis connection
+    await initializeRedis();
+
+    // Initialize result storage and its retention sweep
+    await storageService.initialize();
+    storageService.startRetentionSweep();
+    
+    // Start conversion worker (SERVICE_ROLE=api leaves queued conversions to standalone
+    // workers, but still converts POST /convert-sync requests on its own pool)
+    if (runsWorker) {
+      await startWorker();
+    } else {
+      await conversionPool.start();
+      admissionController.calibrate();
+    }
+    
+    // Start HTTP server
+    httpServer = app.listen(port, () => {
+      logger.info(`Non-blocking JPEG to AVIF conversion service started on port ${port}`, {
+        port,
+        role: serviceRole,
+        nodeVersion: process.version,
+        initialMemory: getMemoryUsage(),
+        redis: redisService.isConnected() ? 'connected' : 'disconnected'
+      });
+    });
+    httpServer.on('upgrade', handleUpgrade);
+    
+  } catch (error) {
+    logger.error('Failed to start server:', error.message);
+    process.exit(1);
+  }
+}
+
+// Graceful shutdown: stop taking requests, let the worker finish or hand back its jobs
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  logger.info(`Received ${signal}, shutting down gracefully`);
+
+  httpServer?.close();
+
+  // Stop conversion worker
+  if (runsWorker) {
+    await conversionWorker.stop();
+  } else {
+    await conversionPool.stop();
+  }
+
+  // Disconnect from Redis
+  await redisService.disconnect();
+
+  process.exit(0);
+}
+
+if (serviceRole === 'worker') {
+  // Worker-only processes run the standalone worker entrypoint
+  await import('./worker.js');
+} else {
+  // Start the server
+  startServer();
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
@@ -0,0 +1,121 @@
+import winston from 'winston';
+import { getMemoryUsage, getMemoryLimit } from '../utils/memory.js';
+import { codedError } from '../utils/errors.js';
+
+// Admits conversions into the pool based on their estimated decoded size, so a few huge
+// images can't run the process out of memory together
+class AdmissionController {
+  constructor() {
+    // Memory the worker process may use, in MB (defaults to 80% of the container limit)
+    this.memoryLimit = Number(process.env.WORKER_MEMORY_LIMIT_MB) || Math.round(getMemoryLimit() * 0.8);
+    // Decoded RGBA bitmap, its resized copies and the encoder's own buffers
+    this.bytesPerPixel = Number(process.env.WORKER_BYTES_PER_PIXEL || 16);
+    this.reserved = 0;
+    this.active = 0;
+    this.waiting = [];
+    this.baselineRss = getMemoryUsage().rss;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.Console({
+          format: winston.format.combine(
+            winston.format.timestamp({ format: 'HH:mm:ss' }),
+            winston.format.colorize(),
+            winston.format.simple()
+          )
+        })
+      ]
+    });
+  }
+
+  // Record the idle footprint (server, pool threads) once everything is loaded
+  calibrate() {
+    this.baselineRss = getMemoryUsage().rss;
+  }
+
+  // Estimated peak memory in MB for converting an image of the given dimensions
+  estimate({ width, height }) {
+    return Math.ceil(width * height * this.bytesPerPixel / 1024 / 1024);
+  }
+
+  // Wait until there is room for a conversion needing `estimate` MB. Resolves with a release
+  // function. Rejects with a non-retryable DECOMPRESSION_BOMB error if the image can never fit.
+  async acquire(estimate, description = 'Image') {
+    const available = this.memoryLimit - this.baselineRss;
+    if (estimate > available) {
+      throw codedError(
+        'DECOMPRESSION_BOMB',
+        `${description} needs an estimated ${estimate}MB to convert, more than the ${Math.round(available)}MB available to the worker`
+      );
+    }
+
+    if (!this.waiting.length && this.canAdmit(estimate)) {
+      return this.admit(estimate);
+    }
+
+    this.logger.info(`Waiting for memory to convert ${description}`, {
+      estimate,
+      reserved: this.reserved,
+      rss: getMemoryUsage().rss,
+      memoryLimit: this.memoryLimit
+    });
+    return new Promise((resolve, reject) => this.waiting.push({ estimate, resolve, reject }));
+  }
+
+  // Memory in use is whichever is larger: what the process actually holds, or the idle
+  // baseline plus what running conversions reserved (they may not have allocated yet).
+  // A conversion is always admitted when nothing else is running.
+  canAdmit(estimate) {
+    if (this.active === 0) {
+      return true;
+    }
+    const inUse = Math.max(getMemoryUsage().rss, this.baselineRss + this.reserved);
+    return inUse + estimate <= this.memoryLimit;
+  }
+
+  admit(estimate) {
+    this.active++;
+    this.reserved += estimate;
+
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.active--;
+      this.reserved -= estimate;
+      this.admitWaiting();
+    };
+  }
+
+  // Admit waiters in arrival order so a large image isn't starved by smaller ones
+  admitWaiting() {
+    while (this.waiting.length && this.canAdmit(this.waiting[0].estimate)) {
+      const { estimate, resolve } = this.waiting.shift();
+      resolve(this.admit(estimate));
+    }
+  }
+
+  // Reject every conversion still waiting for memory (worker shutting down)
+  cancelWaiting(reason) {
+    for (const { reject } of this.waiting.splice(0)) {
+      reject(new Error(reason));
+    }
+  }
+
+  getStats() {
+    return {
+      memoryLimit: this.memoryLimit,
+      reserved: this.reserved,
+      active: this.active,
+      waiting: this.waiting.length
+    };
+  }
+}
+
+export default new AdmissionController();
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import winston from 'winston';
+import redisService from './redis-service.js';
+
+// Keys look like j2a_<id>_<secret>. Only a hash of the secret is stored, so a key can't be
+// recovered from Redis; the id finds its record without a lookup table.
+const KEY_PATTERN = /^j2a_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9._:@-]{1,128}$/;
+
+// Per-key limits; null uses the service-wide default (see quota-service)
+const LIMIT_FIELDS = ['rateLimit', 'dailyJobs', 'dailyBytes'];
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+// API keys identify the client a request acts for. Keys are managed through the
+// /admin/keys endpoints, which are protected by ADMIN_API_KEY.
+class ApiKeyService {
+  constructor() {
+    this.keyPrefix = 'jpeg2avif:apikey:';
+    // Every key ID scored by its creation time, for listing
+    this.indexKey = 'jpeg2avif:apikeys';
+    this.enabled = process.env.AUTH_ENABLED !== 'false';
+    this.adminKey = process.env.ADMIN_API_KEY || null;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.Console({
+          format: winston.format.combine(
+            winston.format.timestamp({ format: 'HH:mm:ss' }),
+            winston.format.colorize(),
+            winston.format.simple()
+          )
+        })
+      ]
+    });
+  }
+
+  // Validate the fields of a create/update request. `partial` allows fields to be missing.
+  resolveKeyOptions(body, { partial = false } = {}) {
+    const options = {};
+
+    if (body.clientId !== undefined || !partial) {
+      if (typeof body.clientId !== 'string' || !CLIENT_ID_PATTERN.test(body.clientId)) {
+        throw new Error('clientId is required (1-128 letters, digits and . _ : @ -)');
+      }
+      options.clientId = body.clientId;
+    }
+
+    if (body.name !== undefined) {
+      if (typeof body.name !== 'string' || body.name.length > 200) {
+        throw new Error('name must be a string of at most 200 characters');
+      }
+      options.name = body.name;
+    }
+
+    for (const field of LIMIT_FIELDS) {
+      if (body[field] === undefined) {
+        continue;
+      }
+      const value = body[field] === null ? null : Number(body[field]);
+      if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`${field} must be a non-negative integer or null (0 means unlimited)`);
+      }
+      options[field] = value;
+    }
+
+    if (body.disabled !== undefined) {
+      if (typeof body.disabled !== 'boolean') {
+        throw new Error('disabled must be true or false');
+      }
+      options.disabled = body.disabled;
+    }
+
+    return options;
+  }
+
+  // Resolves with the stored record plus `key`, the only time the full key is available
+  async createKey(options) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id,
+      clientId: options.clientId,
+      name: options.name || null,
+      rateLimit: options.rateLimit ?? null,
+      dailyJobs: options.dailyJobs ?? null,
+      dailyBytes: options.dailyBytes ?? null,
+      disabled: false,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      secretHash: hashSecret(secret).toString('hex')
+    };
+
+    await redisService.set(`${this.keyPrefix}${id}`, record);
+    await redisService.zadd(this.indexKey, Date.now(), { id });
+    this.logger.info(`Created API key ${id} for client ${record.clientId}`);
+
+    return { ...this.present(record), key: `j2a_${id}_${secret}` };
+  }
+
+  async getKey(id) {
+    return await redisService.get(`${this.keyPrefix}${id}`);
+  }
+
+  async listKeys() {
+    const ids = await redisService.zrangebyscore(this.indexKey, '-inf', '+inf');
+    const records = await redisService.mget(ids.map(({ id }) => `${this.keyPrefix}${id}`));
+    return records.filter(Boolean);
+  }
+
+  async updateKey(id, updates) {
+    const record = await this.getKey(id);
+    if (!record) {
+      return null;
+    }
+
+    const updated = { ...record, ...updates, updatedAt: new Date().toISOString() };
+    await redisService.set(`${this.keyPrefix}${id}`, updated);
+    this.logger.info(`Updated API key ${id}`, { fields: Object.keys(updates) });
+    return updated;
+  }
+
+  async revokeKey(id) {
+    const removed = await redisService.del(`${this.keyPrefix}${id}`);
+    await redisService.zrem(this.indexKey, { id });
+    if (removed) {
+      this.logger.info(`Revoked API key ${id}`);
+    }
+    return removed > 0;
+  }
+
+  // The key record for a presented key, or null if it is unknown, wrong or disabled
+  async authenticate(presented) {
+    const match = KEY_PATTERN.exec(presented || '');
+    if (!match) {
+      return null;
+    }
+
+    const [, id, secret] = match;
+    const record = await this.getKey(id);
+    if (!record || record.disabled) {
+      return null;
+    }
+
+    const expected = Buffer.from(record.secretHash, 'hex');
+    return crypto.timingSafeEqual(hashSecret(secret), expected) ? record : null;
+  }
+
+  isAdminKey(presented) {
+    if (!this.adminKey || typeof presented !== 'string') {
+      return false;
+    }
+    // Compare hashes so the comparison doesn't depend on the key's length
+    return crypto.timingSafeEqual(hashSecret(presented), hashSecret(this.adminKey));
+  }
+
+  // A key record without its secret hash
+  present(record) {
+    const { secretHash, ...rest } = record;
+    return rest;
+  }
+}
+
+export default new ApiKeyService();
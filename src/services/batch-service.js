@@ -0,0 +1,336 @@
+import fs from 'fs';
+import path from 'path';
+import yauzl from 'yauzl';
+import archiver from 'archiver';
+import winston from 'winston';
+import redisService from './redis-service.js';
+import jobService from './job-service.js';
+import cacheService from './cache-service.js';
+import webhookService from './webhook-service.js';
+import storageService from './storage-service.js';
+import imageDecoder from './image-decoder.js';
+
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled', 'expired'];
+
+// A batch groups one child job per image; its progress is derived from the child jobs
+class BatchService {
+  constructor() {
+    this.keyPrefix = 'jpeg2avif:batch:';
+    this.maxItems = Number(process.env.BATCH_MAX_ITEMS || 500);
+    // Same per-image limit as POST /convert
+    this.maxItemSize = 50 * 1024 * 1024;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.Console({
+          format: winston.format.combine(
+            winston.format.timestamp({ format: 'HH:mm:ss' }),
+            winston.format.colorize(),
+            winston.format.simple()
+          )
+        })
+      ]
+    });
+  }
+
+  // Create a child job for every image in the uploaded files. `files` are multer disk uploads;
+  // ZIP archives are expanded. `jobOptions` (renditions, output, callback, clientId) apply to
+  // every job. Images that can't be converted are listed under `rejected` instead of failing
+  // the batch. Once the batch is full (`maxItems`, or the client's remaining daily job quota,
+  // `quotaItems`), the files and archive entries left are not read: one `rejected` entry says
+  // why and counts them as `skipped`.
+  async createBatch({ files, jobOptions, requestId, quotaItems = Infinity }) {
+    const batch = {
+      id: jobService.generateJobId(),
+      createdAt: new Date().toISOString(),
+      clientId: jobOptions.clientId,
+      requestId,
+      items: [],
+      rejected: []
+    };
+
+    const fullReason = () => {
+      if (batch.items.length >= this.maxItems) {
+        return `Batch is limited to ${this.maxItems} images`;
+      }
+      if (batch.items.length >= quotaItems) {
+        return 'Daily job quota exceeded';
+      }
+      return null;
+    };
+    let skipped = 0;
+
+    const addItem = async (originalName, buffer) => {
+      const sourceFormat = imageDecoder.detectFormat(buffer);
+      if (!sourceFormat) {
+        batch.rejected.push({ originalName, error: 'Unsupported or unrecognized image format', code: 'INVALID_IMAGE' });
+        return;
+      }
+      try {
+        await imageDecoder.validate(buffer, sourceFormat.format);
+      } catch (validationError) {
+        batch.rejected.push({ originalName, error: validationError.message, code: validationError.code });
+        return;
+      }
+
+      const jobId = jobService.generateJobId();
+      const sourceKey = storageService.jobKey(jobId, `source.${sourceFormat.extension}`);
+      await storageService.put(sourceKey, buffer, { contentType: sourceFormat.mimeType });
+      const job = await jobService.createJob({
+        id: jobId,
+        originalName,
+        sourceKey,
+        fileSize: buffer.length,
+        sourceFormat: sourceFormat.format,
+        ...jobOptions,
+        batchId: batch.id,
+        requestId,
+        cacheKey: cacheService.keyFor(buffer, jobOptions, jobOptions.clientId)
+      });
+      if (job.status === 'completed') {
+        webhookService.notifyInBackground(job);
+      }
+      batch.items.push({ jobId, originalName });
+    };
+
+    for (const file of files) {
+      if (await this.isZip(file.path)) {
+        skipped += await this.readZipEntries(file.path, file.originalname, addItem, batch.rejected, () => fullReason() !== null);
+      } else if (fullReason()) {
+        skipped++;
+      } else if (file.size > this.maxItemSize) {
+        batch.rejected.push({ originalName: file.originalname, error: 'File too large. Maximum size is 50MB.' });
+      } else {
+        await addItem(file.originalname, await fs.promises.readFile(file.path));
+      }
+    }
+    if (skipped) {
+      batch.rejected.push({ error: `${fullReason()}; ${skipped} more files and archive entries were skipped`, skipped });
+    }
+
+    if (batch.items.length) {
+      await redisService.set(`${this.keyPrefix}${batch.id}`, batch, jobService.jobTtl);
+      this.logger.info(`Created batch ${batch.id}`, {
+        items: batch.items.length,
+        rejected: batch.rejected.length
+      });
+    }
+
+    return batch;
+  }
+
+  async isZip(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+      return bytesRead === 4 && buffer.equals(ZIP_MAGIC);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Feed each file in a ZIP archive to `onEntry(name, buffer)`, one at a time.
+  // Folders, hidden files and macOS resource forks are skipped. Reading stops as soon as
+  // `isFull()`; resolves with the number of entries left unread.
+  async readZipEntries(zipPath, archiveName, onEntry, rejected, isFull = () => false) {
+    let zipfile;
+    try {
+      zipfile = await new Promise((resolve, reject) => {
+        yauzl.open(zipPath, { lazyEntries: true }, (error, opened) => (error ? reject(error) : resolve(opened)));
+      });
+    } catch (error) {
+      rejected.push({ originalName: archiveName, error: `Invalid ZIP archive: ${error.message}` });
+      return 0;
+    }
+
+    // Errors storing or queueing an image are not archive errors and fail the request
+    let itemError = null;
+    let unread = 0;
+    try {
+      await new Promise((resolve, reject) => {
+        zipfile.on('error', reject);
+        zipfile.on('end', resolve);
+        zipfile.on('entry', async (entry) => {
+          if (isFull()) {
+            // This entry and the ones after it
+            unread = zipfile.entryCount - zipfile.entriesRead + 1;
+            return resolve();
+          }
+          const name = path.posix.basename(entry.fileName);
+          const skip = entry.fileName.endsWith('/') ||
+            entry.fileName.startsWith('__MACOSX/') ||
+            name.startsWith('.');
+
+          if (!skip) {
+            if (entry.uncompressedSize > this.maxItemSize) {
+              rejected.push({ originalName: entry.fileName, error: 'File too large. Maximum size is 50MB.' });
+            } else {
+              let buffer;
+              try {
+                buffer = await this.readZipEntry(zipfile, entry);
+              } catch (error) {
+                return reject(error);
+              }
+              try {
+                await onEntry(name, buffer);
+              } catch (error) {
+                itemError = error;
+                return reject(error);
+              }
+            }
+          }
+          zipfile.readEntry();
+        });
+        zipfile.readEntry();
+      });
+    } catch (error) {
+      if (itemError) {
+        throw itemError;
+      }
+      // A corrupt entry stops the archive; images read so far are kept
+      rejected.push({ originalName: archiveName, error: `Failed to read ZIP archive: ${error.message}` });
+    } finally {
+      zipfile.close();
+    }
+    return unread;
+  }
+
+  async readZipEntry(zipfile, entry) {
+    const stream = await new Promise((resolve, reject) => {
+      zipfile.openReadStream(entry, (error, opened) => (error ? reject(error) : resolve(opened)));
+    });
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async getBatch(batchId) {
+    return await redisService.get(`${this.keyPrefix}${batchId}`);
+  }
+
+  // Aggregate progress of a batch with the status of each child job
+  async getBatchSummary(batch) {
+    const jobs = await jobService.getJobs(batch.items.map(item => item.jobId));
+
+    const counts = { queued: 0, processing: 0, retrying: 0, completed: 0, failed: 0, cancelled: 0, expired: 0 };
+    const items = batch.items.map((item, index) => {
+      const job = jobs[index];
+      const status = job?.status || 'expired';
+      counts[status] = (counts[status] || 0) + 1;
+      return {
+        jobId: item.jobId,
+        originalName: item.originalName,
+        status,
+        error: job?.error || null,
+        attempts: job?.attempts,
+        statusUrl: `/status/${item.jobId}`
+      };
+    });
+
+    const total = items.length;
+    const finished = counts.completed + counts.failed + counts.cancelled + counts.expired;
+    const isFinished = finished === total;
+
+    return {
+      batchId: batch.id,
+      status: this.batchStatus(counts, total),
+      createdAt: batch.createdAt,
+      total,
+      counts,
+      progress: Math.round(finished / total * 100),
+      downloadUrl: isFinished && counts.completed > 0 ? `/batches/${batch.id}/download` : null,
+      items,
+      rejected: batch.rejected
+    };
+  }
+
+  batchStatus(counts, total) {
+    if (counts.queued === total) {
+      return 'queued';
+    }
+    if (counts.queued + counts.processing + counts.retrying > 0) {
+      return 'processing';
+    }
+    if (counts.completed === total) {
+      return 'completed';
+    }
+    return counts.completed > 0 ? 'completed_with_errors' : 'failed';
+  }
+
+  isFinished(summary) {
+    return summary.items.every(item => TERMINAL_STATUSES.includes(item.status));
+  }
+
+  // Stream a ZIP of every rendition output of the batch's completed jobs to `destination`.
+  // Entries are named after the output files; duplicate names get a numeric suffix.
+  async writeArchive(batch, destination) {
+    const jobs = await jobService.getJobs(batch.items.map(item => item.jobId));
+    // Outputs are already compressed images
+    const archive = archiver('zip', { store: true });
+    const usedNames = new Set();
+
+    // Settles when the client has the whole archive, went away, or archiving failed
+    const finished = new Promise((resolve, reject) => {
+      archive.on('error', reject);
+      destination.on('close', resolve);
+    });
+    finished.catch(() => {});
+    archive.pipe(destination);
+
+    for (const job of jobs) {
+      if (job?.status !== 'completed') {
+        continue;
+      }
+
+      for (const rendition of Object.values(job.results.renditions)) {
+        for (const output of Object.values(rendition.formats)) {
+          if (destination.destroyed) {
+            archive.abort();
+            return;
+          }
+
+          let stream;
+          try {
+            stream = await storageService.createReadStream(output.key, { bucket: output.bucket });
+          } catch (error) {
+            if (error.code === 'ENOENT') {
+              this.logger.warn(`Skipping expired output ${output.key} in batch ${batch.id}`);
+              continue;
+            }
+            throw error;
+          }
+
+          // One entry at a time so only one storage stream is open
+          const entryDone = new Promise((resolve, reject) => {
+            archive.once('entry', resolve);
+            stream.once('error', reject);
+          });
+          archive.append(stream, { name: this.uniqueName(output.filename, usedNames) });
+          await Promise.race([entryDone, finished]);
+        }
+      }
+    }
+
+    await archive.finalize();
+    await finished;
+  }
+
+  uniqueName(filename, usedNames) {
+    const { name, ext } = path.parse(filename);
+    let candidate = filename;
+    for (let n = 2; usedNames.has(candidate); n++) {
+      candidate = `${name}-${n}${ext}`;
+    }
+    usedNames.add(candidate);
+    return candidate;
+  }
+}
+
+export default new BatchService();
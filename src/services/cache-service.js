@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import redisService from './redis-service.js';
+
+// Object keys in a stable order, so equal options always serialize the same way
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => [key, canonicalize(value[key])])
+    );
+  }
+  return value;
+};
+
+// Result cache for repeated uploads. Jobs are keyed by a hash of the input bytes, the
+// normalized conversion options and the client; a job whose key has a completed result
+// reuses that job's outputs, and one whose key is being converted waits for that conversion.
+class CacheService {
+  constructor() {
+    this.entryPrefix = 'jpeg2avif:cache:entry:';
+    // Cache keys scored by the time they were stored, for evicting the oldest
+    this.indexKey = 'jpeg2avif:cache:index';
+    // Job converting a key, and the jobs waiting for it
+    this.inFlightPrefix = 'jpeg2avif:cache:inflight:';
+    this.followersPrefix = 'jpeg2avif:cache:followers:';
+    // Jobs using a job's outputs, so deleting that job leaves them in place
+    this.referencesPrefix = 'jpeg2avif:cache:refs:';
+    this.enabled = process.env.CACHE_ENABLED !== 'false';
+    this.ttl = Number(process.env.CACHE_TTL_SECONDS || 86400);
+    this.maxEntries = Number(process.env.CACHE_MAX_ENTRIES || 10000);
+  }
+
+  // Cache key of a job converting `input` (the upload, or its sha256 hex digest) with
+  // `options` (renditions, focalPoint, operations, metadataPolicy, colorProfile) for `clientId`, or null when the job
+  // can't share results: the cache is off, or its outputs go to a caller-specified location.
+  keyFor(input, options, clientId) {
+    if (!this.enabled || options.output) {
+      return null;
+    }
+
+    // The order of formats doesn't change the outputs
+    const conversion = canonicalize({
+      renditions: options.renditions.map(rendition => ({ ...rendition, formats: [...rendition.formats].sort() })),
+      focalPoint: options.focalPoint,
+      operations: options.operations,
+      metadataPolicy: options.metadataPolicy,
+      colorProfile: options.colorProfile || 'srgb'
+    });
+    const inputHash = Buffer.isBuffer(input) ? crypto.createHash('sha256').update(input).digest('hex') : input;
+    return crypto.createHash('sha256')
+      .update(inputHash)
+      .update(JSON.stringify(conversion))
+      .update(clientId || '')
+      .digest('hex');
+  }
+
+  // The cached result of a key: { jobId, expiresAt }
+  async lookup(key) {
+    return await redisService.get(`${this.entryPrefix}${key}`);
+  }
+
+  // Record `jobId`'s outputs as the result of `key`. `expiresAt` is when the job's record
+  // and outputs expire; the entry never outlives them.
+  async store(key, jobId, expiresAt) {
+    const lifetime = Math.min(this.ttl, Math.floor((Date.parse(expiresAt) - Date.now()) / 1000));
+    if (!this.enabled || lifetime <= 0) {
+      return;
+    }
+
+    const now = Date.now();
+    await redisService.set(`${this.entryPrefix}${key}`, { jobId, expiresAt }, lifetime);
+    await redisService.zadd(this.indexKey, now, { key });
+    await redisService.zremrangebyscore(this.indexKey, '-inf', now - this.ttl * 1000);
+
+    // Over the size limit: evict the oldest entries
+    const excess = (await redisService.zcard(this.indexKey)) - this.maxEntries;
+    if (this.maxEntries > 0 && excess > 0) {
+      for (const { key: evicted } of await redisService.zpopmin(this.indexKey, excess)) {
+        await redisService.del(`${this.entryPrefix}${evicted}`);
+      }
+    }
+  }
+
+  async remove(key) {
+    await redisService.del(`${this.entryPrefix}${key}`);
+    await redisService.zrem(this.indexKey, { key });
+  }
+
+  // Make `jobId` the job converting `key`. Resolves with null when it is, or with the ID
+  // of the job already converting it.
+  async claim(key, jobId, ttl) {
+    if (await redisService.setnx(`${this.inFlightPrefix}${key}`, { jobId }, ttl)) {
+      return null;
+    }
+    const inFlight = await redisService.get(`${this.inFlightPrefix}${key}`);
+    return inFlight && inFlight.jobId !== jobId ? inFlight.jobId : null;
+  }
+
+  async release(key, jobId) {
+    const inFlight = await redisService.get(`${this.inFlightPrefix}${key}`);
+    if (inFlight?.jobId === jobId) {
+      await redisService.del(`${this.inFlightPrefix}${key}`);
+    }
+  }
+
+  async addFollower(leaderId, jobId, ttl) {
+    await redisService.lpush(`${this.followersPrefix}${leaderId}`, { jobId });
+    await redisService.expire(`${this.followersPrefix}${leaderId}`, ttl);
+  }
+
+  // Take the next job waiting for `leaderId`; each follower is only handed out once
+  async takeFollower(leaderId) {
+    const follower = await redisService.rpop(`${this.followersPrefix}${leaderId}`);
+    return follower?.jobId || null;
+  }
+
+  async addReference(jobId, ttl) {
+    await redisService.incrby(`${this.referencesPrefix}${jobId}`, 1, ttl);
+  }
+
+  async isReferenced(jobId) {
+    return await redisService.exists(`${this.referencesPrefix}${jobId}`);
+  }
+}
+
+export default new CacheService();
@@ -0,0 +1,233 @@
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Worker } from 'worker_threads';
+// sharp has to be loaded by the main thread before any worker thread uses it
+import 'sharp';
+import winston from 'winston';
+import metricsService from './metrics-service.js';
+import { codedError, ERROR_CODES } from '../utils/errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const THREAD_SCRIPT = path.join(__dirname, '../workers/conversion-thread.js');
+
+const toBuffer = (data) => Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+// Fixed-size pool of worker threads running the decode/resize/encode pipeline
+class ConversionPool {
+  constructor() {
+    this.size = Math.max(1, Number(process.env.WORKER_CONCURRENCY) || os.cpus().length);
+    this.threads = [];
+    this.pending = [];
+    this.nextTaskId = 1;
+    this.isRunning = false;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.Console({
+          format: winston.format.combine(
+            winston.format.timestamp({ format: 'HH:mm:ss' }),
+            winston.format.colorize(),
+            winston.format.simple()
+          )
+        })
+      ]
+    });
+  }
+
+  // Resolves once every thread has loaded its modules
+  async start() {
+    if (this.isRunning) {
+      return;
+    }
+    this.isRunning = true;
+    for (let i = 0; i < this.size; i++) {
+      this.threads.push(this.spawnThread());
+    }
+    const started = await Promise.all(this.threads.map(thread => thread.ready));
+    if (!started.some(Boolean)) {
+      this.isRunning = false;
+      throw new Error('Conversion threads failed to start');
+    }
+    this.logger.info(`Conversion pool started with ${this.threads.length} threads`);
+  }
+
+  async stop() {
+    this.isRunning = false;
+    const threads = this.threads;
+    this.threads = [];
+    for (const task of this.pending.splice(0)) {
+      task.reject(new Error('Conversion pool stopped'));
+    }
+    for (const thread of threads) {
+      thread.task?.reject(new Error('Conversion pool stopped'));
+      thread.task = null;
+    }
+    // terminate() only settles once a thread is back from native code (e.g. a long
+    // encode), so don't hold up shutdown waiting for it
+    for (const thread of threads) {
+      thread.worker.terminate().catch(() => {});
+    }
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      busy: this.threads.filter(thread => thread.task).length,
+      queued: this.pending.length
+    };
+  }
+
+  // Convert an image on the next free thread. Resolves with { width, height, hasAlpha,
+  // colorProfile, placeholder, renditions: [{ name, width, height, crop, outputs: { <format>: Buffer } }] }.
+  // `onProgress` is called with each step the thread reports (see imageConverter.convert).
+  // Aborting `signal` rejects the task; a thread already converting it is replaced.
+  run({ inputBuffer, sourceFormat, renditions, colorProfile, focalPoint, operations, placeholder, onProgress, signal }) {
+    if (!this.isRunning) {
+      return Promise.reject(new Error('Conversion pool is not running'));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(new Error('Conversion aborted'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        taskId: this.nextTaskId++,
+        message: { inputBuffer, sourceFormat, renditions, colorProfile, focalPoint, operations, placeholder },
+        onProgress,
+        resolve,
+        reject
+      };
+      if (signal) {
+        const onAbort = () => this.abort(task);
+        signal.addEventListener('abort', onAbort, { once: true });
+        task.resolve = (result) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(result);
+        };
+        task.reject = (error) => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        };
+      }
+      this.pending.push(task);
+      this.dispatch();
+    });
+  }
+
+  abort(task) {
+    const index = this.pending.indexOf(task);
+    if (index !== -1) {
+      this.pending.splice(index, 1);
+    }
+    const thread = this.threads.find(candidate => candidate.task === task);
+    if (thread) {
+      thread.task = null;
+      this.replaceThread(thread);
+    }
+    task.reject(new Error('Conversion aborted'));
+  }
+
+  dispatch() {
+    for (const thread of this.threads) {
+      if (!this.pending.length) {
+        return;
+      }
+      if (!thread.task) {
+        thread.task = this.pending.shift();
+        thread.worker.postMessage({ taskId: thread.task.taskId, ...thread.task.message });
+      }
+    }
+  }
+
+  spawnThread() {
+    const thread = { worker: new Worker(THREAD_SCRIPT), task: null, isReady: false };
+    thread.ready = new Promise(resolve => {
+      thread.markReady = resolve;
+    });
+
+    thread.worker.on('message', ({ ready, timeout, taskId, progress, result, error }) => {
+      if (ready) {
+        thread.isReady = true;
+        thread.markReady(true);
+        return;
+      }
+      if (timeout) {
+        metricsService.recordTimeout(timeout);
+        return;
+      }
+
+      const task = thread.task;
+      if (!task || task.taskId !== taskId) {
+        return;
+      }
+      if (progress) {
+        task.onProgress?.(progress);
+        return;
+      }
+      thread.task = null;
+
+      if (error) {
+        // Errors coded in the thread keep their code; anything else is an encoder failure
+        task.reject(codedError(error.code in ERROR_CODES ? error.code : 'ENCODER_ERROR', error.message, {
+          retryable: error.retryable
+        }));
+        // A timed-out encode may still be running on this thread; start from a clean one
+        this.replaceThread(thread);
+      } else {
+        metricsService.recordConversionTimes(result.renditions);
+        task.resolve({
+          ...result,
+          renditions: result.renditions.map(rendition => ({
+            ...rendition,
+            outputs: Object.fromEntries(
+              Object.entries(rendition.outputs).map(([format, data]) => [format, toBuffer(data)])
+            )
+          }))
+        });
+      }
+      this.dispatch();
+    });
+
+    thread.worker.on('error', (error) => {
+      this.logger.error('Conversion thread crashed:', error.message);
+      thread.task?.reject(codedError('ENCODER_ERROR', `Conversion thread crashed: ${error.message}`));
+      thread.task = null;
+    });
+
+    thread.worker.on('exit', (code) => {
+      thread.markReady(false);
+      thread.task?.reject(codedError('ENCODER_ERROR', `Conversion thread exited with code ${code}`));
+      thread.task = null;
+      if (!this.isRunning || !this.threads.includes(thread)) {
+        return;
+      }
+      if (thread.isReady) {
+        this.replaceThread(thread);
+      } else {
+        // Failed while loading: respawning would only crash-loop
+        this.threads.splice(this.threads.indexOf(thread), 1);
+      }
+    });
+
+    return thread;
+  }
+
+  replaceThread(thread) {
+    const index = this.threads.indexOf(thread);
+    if (index === -1) {
+      return;
+    }
+    this.threads[index] = this.spawnThread();
+    thread.worker.terminate().catch(() => {});
+    this.dispatch();
+  }
+}
+
+export default new ConversionPool();
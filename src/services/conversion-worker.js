@@ -1,11 +1,24 @@
-import imagemin from 'imagemin';
-import imageminAvif from 'imagemin-avif';
-import Jimp from 'jimp';
 import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { exiftool } from 'exiftool-vendored';
 import jobService from './job-service.js';
+import redisService from './redis-service.js';
+import renditionService from './rendition-service.js';
+import encoderService from './encoder-service.js';
+import imageDecoder from './image-decoder.js';
+import storageService from './storage-service.js';
+import webhookService from './webhook-service.js';
+import metadataService from './metadata-service.js';
+import conversionPool from './conversion-pool.js';
+import admissionController from './admission-controller.js';
+import metricsService from './metrics-service.js';
+import sourceUrlService from './source-url-service.js';
+import quotaService from './quota-service.js';
+import { getMemoryUsage } from '../utils/memory.js';
+import { withTimeout } from '../utils/timeout.js';
+import { codedError, classify } from '../utils/errors.js';
 import winston from 'winston';
 
 // comment to force rebuild
@@ -16,6 +29,11 @@ const __dirname = path.dirname(__filename);
 class ConversionWorker {
   constructor() {
     this.isRunning = false;
+    this.maintenanceTimer = null;
+    this.activeJobs = new Map();
+    this.interrupted = new Set();
+    this.polling = null;
+    this.shutdownTimeout = Number(process.env.WORKER_SHUTDOWN_TIMEOUT_MS || 25000);
     this.logger = winston.createLogger({
       level: 'info',
       format: winston.format.combine(
@@ -41,38 +59,158 @@ class ConversionWorker {
     }
 
     this.isRunning = true;
-    this.logger.info('Starting conversion worker');
+    try {
+      await conversionPool.start();
+    } catch (error) {
+      this.isRunning = false;
+      throw error;
+    }
+    admissionController.calibrate();
+    this.logger.info('Starting conversion worker', {
+      concurrency: conversionPool.size,
+      memoryLimit: admissionController.memoryLimit
+    });
+
+    // Requeue due retries and stalled jobs alongside the polling loop
+    jobService.runMaintenance();
+    this.maintenanceTimer = setInterval(() => jobService.runMaintenance(), jobService.maintenanceInterval);
+
+    this.polling = this.pollQueue();
+    await this.polling;
+  }
 
+  async pollQueue() {
     while (this.isRunning) {
+      // Only claim another job when a pool slot is free
+      if (this.activeJobs.size >= conversionPool.size) {
+        await Promise.race(this.activeJobs.values());
+        continue;
+      }
+
       try {
         const job = await jobService.getNextJob();
         if (!job) {
           continue; // Timeout, continue polling
         }
 
-        await this.processJob(job);
+        // Claimed while stopping: give it straight back
+        if (!this.isRunning) {
+          await jobService.requeueJob(job.id);
+          break;
+        }
+
+        const processing = this.processJob(job)
+          .catch(error => this.logger.error(`Job ${job.id} crashed:`, error.message))
+          .finally(() => this.activeJobs.delete(job.id));
+        this.activeJobs.set(job.id, processing);
       } catch (error) {
         this.logger.error('Worker error:', error.message);
-        // Continue processing other jobs
+        // Back off briefly (e.g. Redis unavailable), then continue processing other jobs
+        await new Promise(resolve => setTimeout(resolve, 1000));
       }
     }
   }
 
+  // Stop claiming jobs and let in-flight ones finish. Jobs still running after
+  // WORKER_SHUTDOWN_TIMEOUT_MS are interrupted and handed back to the queue.
   async stop() {
     this.isRunning = false;
-    this.logger.info('Stopping conversion worker');
+    clearInterval(this.maintenanceTimer);
+    this.maintenanceTimer = null;
+    this.logger.info('Stopping conversion worker', { activeJobs: this.activeJobs.size });
+
+    let timer;
+    const drained = await Promise.race([
+      Promise.allSettled(this.activeJobs.values()).then(() => true),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), this.shutdownTimeout);
+      })
+    ]);
+    clearTimeout(timer);
+
+    if (!drained) {
+      this.logger.warn(`Handing ${this.activeJobs.size} unfinished jobs back to the queue`);
+      for (const jobId of this.activeJobs.keys()) {
+        this.interrupted.add(jobId);
+      }
+      admissionController.cancelWaiting('Worker shutting down');
+    }
+
+    await conversionPool.stop();
+    await Promise.allSettled(this.activeJobs.values());
+    // The polling loop exits once its current poll returns
+    await this.polling;
+    this.polling = null;
+    this.logger.info('Conversion worker stopped');
+  }
+
+  // Ready to take work: polling and connected to the queue
+  isReady() {
+    return this.isRunning && redisService.isConnected();
+  }
+
+  getStats() {
+    return {
+      running: this.isRunning,
+      concurrency: conversionPool.size,
+      activeJobs: this.activeJobs.size
+    };
   }
 
   async processJob(job) {
     const startTime = Date.now();
-    this.logger.info(`Processing job ${job.id}`, { originalName: job.originalName });
+    this.logger.info(`Processing job ${job.id}`, {
+      originalName: job.originalName,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts
+    });
+
+    // Keep the job claimed while we work on it
+    const heartbeatTimer = setInterval(() => {
+      jobService.heartbeat(job.id).catch(error => {
+        this.logger.warn(`Heartbeat for job ${job.id} failed:`, error.message);
+      });
+    }, Math.max(jobService.visibilityTimeout / 3, 1) * 1000);
+    let releaseMemory = () => {};
+
+    // DELETE /jobs/:jobId asks over pub/sub; the conversion stops at its next step
+    let cancelled = false;
+    const abortController = new AbortController();
+    let stopWatching = async () => {};
+    const throwIfCancelled = () => {
+      if (cancelled) {
+        const error = new Error('Job cancelled');
+        error.retryable = false;
+        throw error;
+      }
+    };
+    // Outputs already stored, removed again if the job is cancelled
+    const storedOutputs = [];
 
     try {
+      stopWatching = await jobService.onCancelRequested(job.id, () => {
+        cancelled = true;
+        abortController.abort();
+      });
+
       // Update job status to processing
-      await jobService.updateJobStatus(job.id, { status: 'processing' });
+      const claimedJob = await jobService.updateJobStatus(job.id, { status: 'processing', error: null, errorCode: null });
+      cancelled = cancelled || Boolean(claimedJob.cancelRequested) || await jobService.isCancelRequested(job.id);
+      throwIfCancelled();
 
-      // Convert the base64 image data back to buffer
-      const inputBuffer = Buffer.from(job.imageData, 'base64');
+      // Load the uploaded image from storage. A sourceUrl job downloads its image on the
+      // first attempt that gets that far; later attempts reuse the stored copy.
+      let inputBuffer;
+      if (!job.sourceKey && job.sourceUrl) {
+        ({ sourceKey: job.sourceKey, buffer: inputBuffer } = await this.fetchSource(job, abortController.signal));
+        throwIfCancelled();
+      } else {
+        try {
+          inputBuffer = await storageService.get(job.sourceKey);
+        } catch (storageError) {
+          throw classify(storageError, 'STORAGE_ERROR', 'Failed to load source image');
+        }
+      }
       
       // Create temporary files for metadata processing
       const tempDir = path.join(__dirname, '../../temp');
@@ -81,13 +219,39 @@ class ConversionWorker {
       }
       
       const originalName = path.parse(job.originalName).name;
-      const tempOriginal = path.join(tempDir, `${job.id}_original.jpg`);
-      const tempThumb = path.join(tempDir, `${job.id}_${originalName}_thumb.avif`);
-      const tempFull = path.join(tempDir, `${job.id}_${originalName}.avif`);
+      const renditions = job.renditions || renditionService.resolveRenditions();
+
+      // Identify the source from its magic bytes
+      const sourceFormat = imageDecoder.detectFormat(inputBuffer);
+      if (!sourceFormat) {
+        throw codedError('INVALID_IMAGE', 'Unsupported or unrecognized input image format');
+      }
+
+      // Wait for enough memory to decode the image, estimated from the header dimensions.
+      // Uploads were validated by the API already; downloaded sources were not.
+      const dimensions = await imageDecoder.validate(inputBuffer, sourceFormat.format);
+      const memoryEstimate = admissionController.estimate(dimensions);
+      releaseMemory = await admissionController.acquire(
+        memoryEstimate,
+        `${dimensions.width}x${dimensions.height} image`
+      );
+      this.logger.info(`Job ${job.id} admitted`, { ...dimensions, memoryEstimate, memory: getMemoryUsage() });
+
+      const tempOriginal = path.join(tempDir, `${job.id}_original.${sourceFormat.extension}`);
+      const tempFiles = [tempOriginal];
+
+      // Progress events for GET /jobs/:jobId/events: metadata read, decode, then an encode
+      // and a metadata write for every output
+      const outputCount = renditions.reduce((count, rendition) => count + rendition.formats.length, 0);
+      let completedSteps = 0;
+      const reportProgress = (progress) => {
+        completedSteps++;
+        jobService.publishProgress(job.id, { ...progress, completed: completedSteps, total: 2 + 2 * outputCount });
+      };
       
       // Cleanup function
       const cleanupTempFiles = () => {
-        [tempOriginal, tempThumb, tempFull].forEach(file => {
+        tempFiles.forEach(file => {
           try {
             if (fs.existsSync(file)) {
               fs.unlinkSync(file);
@@ -102,147 +266,197 @@ class ConversionWorker {
         // Write original image to temp file for metadata extraction
         fs.writeFileSync(tempOriginal, inputBuffer);
         
-        // Extract EXIF metadata from original JPEG
+        // Extract EXIF metadata from original image
         let originalMetadata;
         try {
           originalMetadata = await exiftool.read(tempOriginal);
         } catch (exifError) {
-          throw new Error(`Metadata extraction failed: ${exifError.message}`);
+          throw classify(exifError, 'METADATA_ERROR', 'Metadata extraction failed');
         }
+        reportProgress({ step: 'metadata_read' });
+        throwIfCancelled();
 
-        // Get image metadata using Jimp
-        const image = await Jimp.read(inputBuffer);
+        // Decode, resize and encode on the conversion pool
+        let converted;
+        try {
+          converted = await conversionPool.run({
+            inputBuffer,
+            sourceFormat: sourceFormat.format,
+            renditions,
+            colorProfile: job.colorProfile || 'srgb',
+            focalPoint: job.focalPoint,
+            operations: job.operations,
+            placeholder: true,
+            onProgress: reportProgress,
+            signal: abortController.signal
+          });
+        } finally {
+          releaseMemory();
+        }
+        throwIfCancelled();
+        const { hasAlpha } = converted;
         const metadata = {
-          width: image.getWidth(),
-          height: image.getHeight(),
-          format: 'jpeg',
-          channels: 3
+          width: converted.width,
+          height: converted.height,
+          format: sourceFormat.format,
+          channels: hasAlpha ? 4 : 3
         };
 
-        // Helper function to add timeout to promises
-        const withTimeout = (promise, timeoutMs, description) => {
-          return Promise.race([
-            promise,
-            new Promise((_, reject) => 
-              setTimeout(() => reject(new Error(`${description} timed out after ${timeoutMs}ms`)), timeoutMs)
-            )
-          ]);
-        };
+        // Which metadata to carry over from the original
+        const metadataPolicy = job.metadataPolicy || metadataService.resolvePolicy();
+        const writtenTags = {};
 
-        // Create thumbnail (200x200) with timeout
-        const thumbnailBuffer = await withTimeout(
-          (async () => {
-            const thumbnail = image.clone().scaleToFit(200, 200);
-            const thumbBuffer = await thumbnail.getBufferAsync(Jimp.MIME_JPEG);
-            return await imagemin.buffer(thumbBuffer, {
-              plugins: [
-                imageminAvif({
-                  quality: 80,
-                  effort: 4
-                })
-              ]
-            });
-          })(),
-          30000,
-          'Thumbnail conversion'
-        );
-
-        // Create full-size AVIF with timeout
-        const fullSizeBuffer = await withTimeout(
-          imagemin.buffer(inputBuffer, {
-            plugins: [
-              imageminAvif({
-                quality: 85,
-                effort: 4
-              })
-            ]
-          }),
-          60000,
-          'Full-size conversion'
-        );
-
-        // Write AVIF files to temp location
-        fs.writeFileSync(tempThumb, thumbnailBuffer);
-        fs.writeFileSync(tempFull, fullSizeBuffer);
-        
-        // Copy only the specific metadata we care about
-        const metadataToPreserve = {};
-        
-        // Dimensions
-        metadataToPreserve.ImageWidth = metadata.width;
-        metadataToPreserve.ImageHeight = metadata.height;
-        
-        // Timestamp
-        if (originalMetadata.DateTimeOriginal) {
-          metadataToPreserve.DateTimeOriginal = originalMetadata.DateTimeOriginal;
-        } else if (originalMetadata.DateTime) {
-          metadataToPreserve.DateTime = originalMetadata.DateTime;
-        } else if (originalMetadata.CreateDate) {
-          metadataToPreserve.CreateDate = originalMetadata.CreateDate;
-        }
-        
-        // GPS location
-        if (originalMetadata.GPSLatitude && originalMetadata.GPSLongitude) {
-          metadataToPreserve.GPSLatitude = originalMetadata.GPSLatitude;
-          metadataToPreserve.GPSLongitude = originalMetadata.GPSLongitude;
-          metadataToPreserve.GPSLatitudeRef = originalMetadata.GPSLatitudeRef;
-          metadataToPreserve.GPSLongitudeRef = originalMetadata.GPSLongitudeRef;
+        const renditionResults = {};
+
+        // Full-size renditions with fallback `original` keep the source file instead of an
+        // output that isn't smaller than it. It is stored once per rendition, under its own
+        // name so it can't replace an output in the source's format, and shared by every
+        // format that falls back.
+        const canKeepOriginal = this.canKeepOriginal(job, sourceFormat, originalMetadata, converted.colorProfile);
+
+        for (const rendition of converted.renditions) {
+          const { width, height } = rendition;
+          const formatResults = {};
+          const definition = renditions.find(({ name }) => name === rendition.name);
+          let keptOriginal;
+
+          for (const [format, encodedBuffer] of Object.entries(rendition.outputs)) {
+            const keepOriginal = canKeepOriginal && definition?.fallback === 'original' && encodedBuffer.length >= inputBuffer.length;
+            if (keepOriginal && keptOriginal) {
+              formatResults[format] = { ...keptOriginal.result, encodedSize: encodedBuffer.length };
+              writtenTags[rendition.name][format] = keptOriginal.tags;
+              continue;
+            }
+            const outputName = keepOriginal ? `${rendition.name}.original` : rendition.name;
+            const outputFormat = keepOriginal ? sourceFormat.format : format;
+            const { mimeType, extension } = keepOriginal ? sourceFormat : encoderService.getFormat(format);
+            const tempFile = path.join(tempDir, `${job.id}_${outputName}.${extension}`);
+            tempFiles.push(tempFile);
+
+            // Write encoded file to temp location and copy metadata into it. The original
+            // loses its own metadata first, so it carries only what the policy allows.
+            fs.writeFileSync(tempFile, keepOriginal ? inputBuffer : encodedBuffer);
+            if (keepOriginal) {
+              await metadataService.strip(tempFile).catch(error => {
+                throw classify(error, 'METADATA_ERROR', `Rendition '${rendition.name}' original metadata removal failed`);
+              });
+            }
+
+            const tags = await withTimeout(
+              metadataService.apply(metadataPolicy, {
+                sourceFile: tempOriginal,
+                sourceTags: originalMetadata,
+                targetFile: tempFile,
+                format: outputFormat,
+                width,
+                height
+              }).catch(error => {
+                throw classify(error, 'METADATA_ERROR', `Rendition '${rendition.name}' ${format} metadata copy failed`);
+              }),
+              10000,
+              `Rendition '${rendition.name}' ${format} metadata copy`,
+              'metadata_copy'
+            );
+            writtenTags[rendition.name] = { ...writtenTags[rendition.name], [format]: tags };
+            reportProgress({ step: 'metadata_written', rendition: rendition.name, format });
+
+            // Read the final file with preserved metadata and store it
+            throwIfCancelled();
+            const finalBuffer = fs.readFileSync(tempFile);
+            const filename = `${originalName}_${outputName}.${extension}`;
+            const location = this.outputLocation(job, outputName, filename, extension);
+            try {
+              await storageService.put(location.key, finalBuffer, { contentType: mimeType, bucket: location.bucket });
+            } catch (storageError) {
+              throw classify(storageError, 'STORAGE_ERROR', `Failed to store ${location.key}`);
+            }
+            storedOutputs.push(location);
+
+            formatResults[format] = {
+              filename,
+              ...location,
+              size: finalBuffer.length,
+              format: outputFormat,
+              mimeType,
+              etag: crypto.createHash('sha256').update(finalBuffer).digest('hex').slice(0, 32),
+              // The encoder quality and the SSIM against the rendition (target modes), or the
+              // size of the encoded output the original was kept instead of
+              ...(keepOriginal
+                ? { original: true, encodedSize: encodedBuffer.length }
+                : rendition.encoding?.[format])
+            };
+            if (keepOriginal) {
+              keptOriginal = { result: formatResults[format], tags };
+            }
+          }
+
+          renditionResults[rendition.name] = {
+            width,
+            height,
+            crop: rendition.crop,
+            formats: formatResults
+          };
         }
         
-        // Copy metadata to both AVIF files
-        await withTimeout(
-          exiftool.write(tempThumb, metadataToPreserve, ['-overwrite_original']),
-          10000,
-          'Thumbnail metadata copy'
-        );
-        
-        await withTimeout(
-          exiftool.write(tempFull, metadataToPreserve, ['-overwrite_original']),
-          10000,
-          'Full-size metadata copy'
-        );
-        
-        // Read the final AVIF files with preserved metadata
-        const finalThumbnailBuffer = fs.readFileSync(tempThumb);
-        const finalFullSizeBuffer = fs.readFileSync(tempFull);
-        
         // Clean up temp files
         cleanupTempFiles();
+
+        const allWrittenTags = Object.values(writtenTags).flatMap(formats => Object.values(formats).flat());
         
         const processingTime = Date.now() - startTime;
 
         // Update job with results
-        await jobService.updateJobStatus(job.id, {
+        const completedJob = await jobService.updateJobStatus(job.id, {
           status: 'completed',
           processingTime,
           results: {
-            thumbnail: {
-              filename: `${originalName}_thumb.avif`,
-              data: finalThumbnailBuffer.toString('base64'),
-              size: finalThumbnailBuffer.length,
-              format: 'avif'
-            },
-            fullSize: {
-              filename: `${originalName}.avif`,
-              data: finalFullSizeBuffer.toString('base64'),
-              size: finalFullSizeBuffer.length,
-              format: 'avif'
-            },
+            renditions: renditionResults,
+            sourceFormat: sourceFormat.format,
+            sourceMimeType: sourceFormat.mimeType,
+            hasAlpha,
             originalSize: inputBuffer.length,
-            metadataPreserved: true,
+            // EXIF orientation of the source; pixels are rotated upright, so all sizes are after rotation
+            orientation: originalMetadata.Orientation || 1,
+            color: {
+              requested: job.colorProfile || 'srgb',
+              sourceProfile: originalMetadata.ProfileDescription || null,
+              outputProfile: imageDecoder.colorProfiles[converted.colorProfile]
+            },
+            metadataPreserved: allWrittenTags.length > 0,
             preservedMetadata: {
-              hasGPS: !!(originalMetadata.GPSLatitude && originalMetadata.GPSLongitude),
-              hasTimestamp: !!(originalMetadata.DateTimeOriginal || originalMetadata.DateTime || originalMetadata.CreateDate),
-              dimensions: `${metadata.width}x${metadata.height}`
-            }
+              policy: metadataPolicy,
+              hasGPS: allWrittenTags.some(tag => tag.startsWith('GPS:')),
+              hasTimestamp: allWrittenTags.some(tag => /:(DateTimeOriginal|ModifyDate|CreateDate)$/.test(tag)),
+              dimensions: `${metadata.width}x${metadata.height}`,
+              // Metadata tags written to each output, by rendition and format
+              renditions: writtenTags
+            },
+            placeholder: converted.placeholder
           }
         });
 
+        await jobService.acknowledgeJob(job.id);
+        this.notifyCallback(job);
+        // Identical jobs that waited for this one complete with its result
+        const followers = await jobService.settleCache(completedJob);
+        followers.filter(follower => follower.status === 'completed').forEach(follower => this.notifyCallback(follower));
+        metricsService.recordConversion({
+          sourceFormat: sourceFormat.format,
+          inputSize: inputBuffer.length,
+          outputs: Object.entries(renditionResults).flatMap(([rendition, result]) =>
+            Object.values(result.formats).map(({ format, size }) => ({ rendition, format, size }))
+          )
+        });
+
         this.logger.info(`Job ${job.id} completed successfully`, {
           processingTime,
           originalSize: inputBuffer.length,
-          thumbnailSize: finalThumbnailBuffer.length,
-          fullSizeSize: finalFullSizeBuffer.length
+          renditionSizes: Object.fromEntries(
+            Object.entries(renditionResults).map(([name, result]) => [
+              name,
+              Object.fromEntries(Object.entries(result.formats).map(([format, output]) => [format, output.size]))
+            ])
+          )
         });
 
       } catch (conversionError) {
@@ -251,15 +465,119 @@ class ConversionWorker {
       }
 
     } catch (error) {
-      this.logger.error(`Job ${job.id} failed:`, error.message);
+      // Interrupted by shutdown: not a failure of the job itself
+      if (this.interrupted.has(job.id)) {
+        await jobService.requeueJob(job.id);
+        return;
+      }
+
+      if (!cancelled) {
+        this.logger.error(`Job ${job.id} failed:`, error.message);
+      }
       
-      // Update job status to failed
-      await jobService.updateJobStatus(job.id, {
-        status: 'failed',
-        error: error.message,
+      // Schedule a retry, or mark the job failed once it is out of attempts
+      const failedJob = await jobService.failJob(job.id, error, {
         processingTime: Date.now() - startTime
       });
+
+      if (failedJob?.status === 'failed') {
+        this.notifyCallback(job);
+      }
+      if (failedJob?.status === 'cancelled') {
+        await this.removeOutputs(job.id, storedOutputs);
+      }
+    } finally {
+      await stopWatching().catch(error => {
+        this.logger.warn(`Failed to stop watching job ${job.id} for cancellation:`, error.message);
+      });
+      releaseMemory();
+      clearInterval(heartbeatTimer);
+      this.interrupted.delete(job.id);
+    }
+  }
+
+  // Download a job's sourceUrl and store it as the job's source
+  async fetchSource(job, signal) {
+    let fetched;
+    try {
+      fetched = await sourceUrlService.fetch(job.sourceUrl, { signal });
+    } catch (error) {
+      // Cancelled mid-download: the cancellation check reports it. Node's AbortError has a
+      // `code` (ABORT_ERR) too, so it is told apart by its name.
+      if (signal.aborted && error.name === 'AbortError') {
+        return { sourceKey: null, buffer: null };
+      }
+      throw error;
+    }
+
+    const { buffer, url } = fetched;
+    const sourceFormat = imageDecoder.detectFormat(buffer);
+    if (!sourceFormat) {
+      throw codedError(
+        'SOURCE_UNSUPPORTED_FORMAT',
+        `sourceUrl did not return a supported image (${imageDecoder.getFormatNames().join(', ')})`
+      );
+    }
+
+    const sourceKey = storageService.jobKey(job.id, `source.${sourceFormat.extension}`);
+    try {
+      await storageService.put(sourceKey, buffer, { contentType: sourceFormat.mimeType });
+    } catch (storageError) {
+      throw classify(storageError, 'STORAGE_ERROR', 'Failed to store the downloaded source image');
     }
+    await jobService.updateJobStatus(job.id, { sourceKey, fileSize: buffer.length, sourceFormat: sourceFormat.format });
+    if (job.meterDownload) {
+      await quotaService.record({ clientId: job.clientId }, { bytes: buffer.length });
+    }
+
+    this.logger.info(`Downloaded source of job ${job.id}`, { url, size: buffer.length, format: sourceFormat.format });
+    return { sourceKey, buffer };
+  }
+
+  async removeOutputs(jobId, locations) {
+    for (const { key, bucket } of locations) {
+      try {
+        await storageService.delete(key, { bucket });
+      } catch (error) {
+        this.logger.warn(`Failed to remove output ${key} of cancelled job ${jobId}:`, error.message);
+      }
+    }
+  }
+
+  // Deliveries retry in the background so the worker can move on to the next job
+  notifyCallback(job) {
+    if (!job.callbackUrl) {
+      return;
+    }
+
+    webhookService.notify(job.id).catch(error => {
+      this.logger.error(`Webhook delivery for job ${job.id} crashed:`, error.message);
+    });
+  }
+
+  // Whether the source file can stand in for a full-size rendition: a web format, with its
+  // pixels as converted (upright, no operations) and in the outputs' colour space. Outputs
+  // are sRGB (`colorProfile`) unless converted to Display P3, so the source has to be sRGB
+  // or untagged.
+  canKeepOriginal(job, sourceFormat, originalMetadata, colorProfile) {
+    const sourceProfile = originalMetadata.ProfileDescription;
+    return ['jpeg', 'png', 'webp', 'avif'].includes(sourceFormat.format)
+      && (originalMetadata.Orientation || 1) === 1
+      && !job.operations?.length
+      && colorProfile === 'srgb'
+      && (!sourceProfile || /\bsRGB\b/i.test(sourceProfile));
+  }
+
+  // Where a rendition output is stored: the caller's bucket/prefix when the job asked for one,
+  // otherwise the job's own prefix in the service storage
+  outputLocation(job, name, filename, extension) {
+    if (!job.output) {
+      return { key: storageService.jobKey(job.id, `${name}.${extension}`) };
+    }
+
+    const safeFilename = filename.replace(/[^A-Za-z0-9!_.*'()-]/g, '_');
+    const key = job.output.prefix ? `${job.output.prefix}/${safeFilename}` : safeFilename;
+    return job.output.bucket ? { bucket: job.output.bucket, key } : { key };
   }
 }
 
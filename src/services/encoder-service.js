@@ -0,0 +1,99 @@
+import imagemin from 'imagemin';
+import sharp from 'sharp';
+
+// imagemin plugin wrapping a sharp output format. An embedded ICC profile (wide-gamut
+// input) is kept as is; without it sharp would convert the pixels to sRGB.
+const sharpPlugin = (applyFormat) => async (buffer) => applyFormat(sharp(buffer).keepIccProfile()).toBuffer();
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Output formats. `plugin` maps normalized rendition options to an imagemin plugin.
+const FORMATS = {
+  avif: {
+    mimeType: 'image/avif',
+    extension: 'avif',
+    supportsAlpha: true,
+    available: true,
+    plugin: ({ quality, effort, chromaSubsampling }) => sharpPlugin(image => image.avif({
+      quality,
+      effort,
+      chromaSubsampling,
+      lossless: false
+    }))
+  },
+  webp: {
+    mimeType: 'image/webp',
+    extension: 'webp',
+    supportsAlpha: true,
+    available: sharp.format.webp.output.buffer,
+    plugin: ({ quality, effort, chromaSubsampling }) => sharpPlugin(image => image.webp({
+      quality,
+      effort: clamp(effort, 0, 6),
+      smartSubsample: chromaSubsampling === '4:4:4'
+    }))
+  },
+  jpeg: {
+    mimeType: 'image/jpeg',
+    extension: 'jpg',
+    supportsAlpha: false,
+    available: sharp.format.jpeg.output.buffer,
+    // No alpha channel in JPEG: transparent areas are flattened onto white
+    plugin: ({ quality, chromaSubsampling }) => sharpPlugin(image => image.flatten({ background: '#ffffff' }).jpeg({
+      quality,
+      chromaSubsampling,
+      progressive: true,
+      mozjpeg: true
+    }))
+  },
+  // JPEG XL needs a libvips build with libjxl, which the prebuilt sharp binaries do not include
+  jxl: {
+    mimeType: 'image/jxl',
+    extension: 'jxl',
+    supportsAlpha: true,
+    available: sharp.format.jxl.output.buffer,
+    plugin: ({ quality, effort }) => sharpPlugin(image => image.jxl({
+      quality,
+      effort: clamp(effort, 3, 9)
+    }))
+  }
+};
+
+class EncoderService {
+  constructor() {
+    this.formats = FORMATS;
+  }
+
+  getFormat(format) {
+    const definition = this.formats[format];
+    if (!definition) {
+      throw new Error(`Unknown output format '${format}'`);
+    }
+    return definition;
+  }
+
+  getFormatNames() {
+    return Object.keys(this.formats);
+  }
+
+  getAvailableFormats() {
+    return this.getFormatNames().filter(format => this.formats[format].available);
+  }
+
+  isAvailable(format) {
+    return !!this.formats[format]?.available;
+  }
+
+  // Encode an image buffer (any format sharp can read) into the requested output format
+  async encode(buffer, format, options) {
+    const definition = this.getFormat(format);
+    if (!definition.available) {
+      throw new Error(`Output format '${format}' is not available on this server`);
+    }
+
+    return await imagemin.buffer(buffer, {
+      plugins: [definition.plugin(options)]
+    });
+  }
+}
+
+export default new EncoderService();
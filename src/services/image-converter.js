@@ -0,0 +1,251 @@
+import Jimp from 'jimp';
+import sharp from 'sharp';
+import encoderService from './encoder-service.js';
+import imageDecoder from './image-decoder.js';
+import operationService from './operation-service.js';
+import { withTimeout } from '../utils/timeout.js';
+import { classify } from '../utils/errors.js';
+import { embedIccProfile } from '../utils/png.js';
+import { CENTER, findFocalPoint, cropAround } from '../utils/focal-point.js';
+import { ssim } from '../utils/ssim.js';
+import { describePlaceholder } from '../utils/placeholder.js';
+
+// Range of encoder qualities searched by the targetBytes and targetSsim modes
+const MIN_QUALITY = 1;
+const MAX_QUALITY = 100;
+
+// The CPU-heavy part of a conversion: decode, resize and encode every rendition.
+// Runs inside a conversion thread; storage, Redis and metadata stay with the worker.
+class ImageConverter {
+  // Resolves with { width, height, hasAlpha, colorProfile, placeholder, renditions }; each rendition has
+  // its encoded `outputs`, the `encoding` of each output (see encodeOutput) and `durationMs`,
+  // and renditions cut out of the image (fit `cover` or `crop`) their `crop` (see cropFor). Pixels are upright
+  // (EXIF orientation applied), so all dimensions are after rotation. `onProgress` is called
+  // with { step: 'decoded', width, height } and { step: 'encoded', rendition, format, size }.
+  // `focalPoint` ({ x, y } fractions of the width and height) is where renditions with
+  // gravity `focal` are centred. `operations` (see operation-service) transform the image
+  // before the renditions are cut from it and finish each rendition; crops and focal points
+  // refer to the image after its crop, rotate and flip operations. With `placeholder`, the
+  // result also has the image's `placeholder` (see describePlaceholder), taken after those
+  // operations.
+  async convert({ inputBuffer, sourceFormat, renditions, colorProfile = 'srgb', focalPoint, operations, placeholder = false, onProgress = () => {} }) {
+    const source = imageDecoder.formats[sourceFormat];
+    if (!source) {
+      throw new Error(`Unsupported input format '${sourceFormat}'`);
+    }
+
+    // Decode into Jimp and get image metadata
+    let decoded;
+    try {
+      decoded = await imageDecoder.decode(inputBuffer, sourceFormat, { colorProfile });
+    } catch (error) {
+      throw classify(error, 'INVALID_IMAGE', 'Could not decode image');
+    }
+    const { image } = decoded;
+    const hasAlpha = image.hasAlpha();
+    const width = image.getWidth();
+    const height = image.getHeight();
+    onProgress({ step: 'decoded', width, height });
+    await operationService.applyToSource(image, operations);
+    const finishRenditions = operationService.hasRenditionOperations(operations);
+    const imagePlaceholder = placeholder ? await describePlaceholder(image) : undefined;
+    // Wide-gamut pixels have to carry their profile into the encoders
+    const iccProfile = decoded.colorProfile === 'p3' ? await this.getP3Profile() : null;
+
+    const results = [];
+    // Found on first use and shared by every rendition with gravity `auto`
+    let autoFocalPoint;
+
+    for (const rendition of renditions) {
+      const isFullSize = !rendition.width && !rendition.height;
+      const timeoutMs = isFullSize ? 60000 : 30000;
+      const renditionStart = Date.now();
+
+      // Every rendition goes through the decoded image so it gets the same orientation
+      // and colour conversion
+      let renditionImage = image;
+      let crop;
+      if (!isFullSize) {
+        if (rendition.gravity === 'auto') {
+          autoFocalPoint = autoFocalPoint || findFocalPoint(image);
+        }
+        crop = this.cropFor(image, rendition, rendition.gravity === 'auto' ? autoFocalPoint : focalPoint);
+        renditionImage = this.resizeForRendition(image.clone(), rendition, crop);
+      } else if (finishRenditions) {
+        renditionImage = image.clone();
+      }
+      await operationService.applyToRendition(renditionImage, operations);
+      const sourceBuffer = await this.toEncoderInput(renditionImage, iccProfile);
+      const renditionWidth = renditionImage.getWidth();
+      const renditionHeight = renditionImage.getHeight();
+
+      const outputs = {};
+      const encoding = {};
+
+      for (const format of rendition.formats) {
+        const { buffer, ...details } = await this.encodeOutput(sourceBuffer, format, rendition, timeoutMs);
+        outputs[format] = buffer;
+        encoding[format] = details;
+        onProgress({ step: 'encoded', rendition: rendition.name, format, size: buffer.length });
+      }
+
+      results.push({
+        name: rendition.name,
+        width: renditionWidth,
+        height: renditionHeight,
+        crop,
+        outputs,
+        encoding,
+        durationMs: Date.now() - renditionStart
+      });
+    }
+
+    return { width, height, hasAlpha, colorProfile: decoded.colorProfile, placeholder: imagePlaceholder, renditions: results };
+  }
+
+  // Encode a rendition into `format` by its encoding mode. Resolves with { buffer, quality }
+  // plus, for the target modes, the `ssim` of the output against the rendition and whether
+  // the target was met (`targetMet`):
+  // - fixed: the rendition's `quality`
+  // - targetBytes: the highest quality whose output fits in targetBytes, else the smallest
+  // - targetSsim: the lowest quality whose output scores at least targetSsim, else the best
+  async encodeOutput(sourceBuffer, format, rendition, timeoutMs) {
+    const encode = (quality) => withTimeout(
+      encoderService.encode(sourceBuffer, format, {
+        quality,
+        effort: rendition.effort,
+        chromaSubsampling: rendition.chromaSubsampling
+      }).catch(error => {
+        throw classify(error, 'ENCODER_ERROR', `Rendition '${rendition.name}' ${format} encoding failed`);
+      }),
+      timeoutMs,
+      `Rendition '${rendition.name}' ${format} conversion`,
+      'encode'
+    );
+
+    if (!rendition.targetBytes && !rendition.targetSsim) {
+      return { buffer: await encode(rendition.quality), quality: rendition.quality };
+    }
+
+    // Binary search over the quality, assuming size and similarity grow with it
+    const reference = await this.toPixels(sourceBuffer);
+    const measure = async (buffer) => {
+      const pixels = await this.toPixels(buffer);
+      return Math.round(ssim(reference.data, pixels.data, reference.width, reference.height) * 10000) / 10000;
+    };
+    let low = MIN_QUALITY;
+    let high = MAX_QUALITY;
+    let chosen;
+    let closest;
+    while (low <= high) {
+      const quality = Math.floor((low + high) / 2);
+      const buffer = await encode(quality);
+      if (rendition.targetBytes) {
+        if (buffer.length <= rendition.targetBytes) {
+          chosen = { buffer, quality };
+          low = quality + 1;
+        } else {
+          closest = { buffer, quality };
+          high = quality - 1;
+        }
+      } else {
+        const score = await measure(buffer);
+        if (score >= rendition.targetSsim) {
+          chosen = { buffer, quality, ssim: score };
+          high = quality - 1;
+        } else {
+          closest = { buffer, quality, ssim: score };
+          low = quality + 1;
+        }
+      }
+    }
+
+    const result = chosen || closest;
+    return {
+      ...result,
+      ssim: result.ssim ?? await measure(result.buffer),
+      targetMet: Boolean(chosen)
+    };
+  }
+
+  // RGBA pixels of an encoded image, for comparing an output with its encoder input
+  async toPixels(buffer) {
+    const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  }
+
+  // Lossless hand-off from Jimp to the encoders; alpha is kept only when the image uses it.
+  // `iccProfile` tags the pixels with the profile they are already in.
+  async toEncoderInput(image, iccProfile = null) {
+    const { data, width, height } = image.bitmap;
+    let pipeline = sharp(data, { raw: { width, height, channels: 4 } });
+    if (!image.hasAlpha()) {
+      pipeline = pipeline.removeAlpha();
+    }
+    const png = await pipeline.png({ compressionLevel: 0 }).toBuffer();
+    return iccProfile ? embedIccProfile(png, iccProfile) : png;
+  }
+
+  // sharp's built-in Display P3 profile, taken from a 1x1 image converted to it
+  async getP3Profile() {
+    if (!this.p3Profile) {
+      this.p3Profile = sharp({ create: { width: 1, height: 1, channels: 3, background: '#ffffff' } })
+        .withIccProfile('p3')
+        .png()
+        .toBuffer()
+        .then(png => sharp(png).metadata())
+        .then(({ icc }) => icc);
+    }
+    return await this.p3Profile;
+  }
+
+  // The part of the image a `cover` or `crop` rendition keeps, placed by its gravity:
+  // { x, y, width, height } in pixels of the upright image, with the `gravity` and the
+  // `focalPoint` it was centred on. Undefined for renditions that keep the whole image.
+  cropFor(image, rendition, focalPoint) {
+    const { width, height, fit, gravity = 'center' } = rendition;
+    const imageWidth = image.getWidth();
+    const imageHeight = image.getHeight();
+
+    let cropWidth;
+    let cropHeight;
+    if (fit === 'cover') {
+      // The largest area with the box's aspect ratio, scaled to the box afterwards
+      const scale = Math.max(width / imageWidth, height / imageHeight);
+      cropWidth = Math.min(imageWidth, Math.round(width / scale));
+      cropHeight = Math.min(imageHeight, Math.round(height / scale));
+    } else if (fit === 'crop') {
+      // The box itself, without scaling
+      cropWidth = Math.min(width, imageWidth);
+      cropHeight = Math.min(height, imageHeight);
+    } else {
+      return undefined;
+    }
+
+    const center = gravity === 'center' || !focalPoint ? CENTER : focalPoint;
+    return {
+      ...cropAround(imageWidth, imageHeight, cropWidth, cropHeight, center),
+      gravity,
+      focalPoint: center
+    };
+  }
+
+  // Resize a Jimp image in place according to the rendition's box and fit mode, cutting
+  // `crop` (from cropFor) out of it first
+  resizeForRendition(image, rendition, crop) {
+    const { width, height, fit } = rendition;
+
+    if (crop) {
+      image.crop(crop.x, crop.y, crop.width, crop.height);
+      return fit === 'cover' ? image.resize(width, height) : image;
+    }
+
+    if (width && height) {
+      return image.scaleToFit(width, height);
+    }
+
+    return image.resize(width || Jimp.AUTO, height || Jimp.AUTO);
+  }
+}
+
+export default new ImageConverter();
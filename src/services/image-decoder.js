@@ -0,0 +1,324 @@
+import Jimp from 'jimp';
+import sharp from 'sharp';
+import decodeHeic from 'heic-decode';
+import { codedError } from '../utils/errors.js';
+
+// Supported input formats, identified by magic bytes. `decoder` selects how the
+// bytes become a Jimp image; `sharpReadable` means sharp can read the raw input.
+// Only the sharp decoder applies EXIF orientation and embedded ICC profiles.
+const INPUT_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', decoder: 'sharp', sharpReadable: true },
+  png: { mimeType: 'image/png', extension: 'png', decoder: 'sharp', sharpReadable: true },
+  gif: { mimeType: 'image/gif', extension: 'gif', decoder: 'sharp', sharpReadable: true },
+  tiff: { mimeType: 'image/tiff', extension: 'tif', decoder: 'sharp', sharpReadable: true },
+  bmp: { mimeType: 'image/bmp', extension: 'bmp', decoder: 'jimp', sharpReadable: false },
+  webp: { mimeType: 'image/webp', extension: 'webp', decoder: 'sharp', sharpReadable: true },
+  avif: { mimeType: 'image/avif', extension: 'avif', decoder: 'sharp', sharpReadable: true },
+  heic: { mimeType: 'image/heic', extension: 'heic', decoder: 'heic', sharpReadable: false }
+};
+
+// Colour profiles decoded pixels can be converted to: sRGB, or Display P3 to keep
+// wide-gamut colours of images with an embedded profile (P3 is then embedded in every output)
+const COLOR_PROFILES = {
+  srgb: 'sRGB',
+  p3: 'Display P3'
+};
+
+// ISO-BMFF brands (ftyp box) for HEIF containers
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// Walk the JPEG segments to the end-of-image marker. Entropy-coded data after a start of
+// scan runs to the next marker that isn't a stuffed 0xff00 or a restart marker. Segments
+// are skipped by their length, so an embedded EXIF thumbnail's EOI doesn't count.
+const isCompleteJpeg = (buffer) => {
+  let offset = 2;
+  while (offset + 2 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return false;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xd9) {
+      return true;
+    }
+    if (marker === 0xff || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      // Fill byte or a marker without a length
+      offset += marker === 0xff ? 1 : 2;
+      continue;
+    }
+    if (offset + 4 > buffer.length) {
+      return false;
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+
+    if (marker === 0xda) {
+      for (offset = buffer.indexOf(0xff, offset); offset !== -1; offset = buffer.indexOf(0xff, offset + 1)) {
+        const next = buffer[offset + 1];
+        if (next !== 0x00 && !(next >= 0xd0 && next <= 0xd7)) {
+          break;
+        }
+      }
+      if (offset === -1) {
+        return false;
+      }
+    }
+  }
+  return false;
+};
+
+// Walk the PNG chunks to IEND
+const isCompletePng = (buffer) => {
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const type = ascii(buffer, offset + 4, offset + 8);
+    offset += 12 + buffer.readUInt32BE(offset);
+    if (type === 'IEND') {
+      return offset <= buffer.length;
+    }
+  }
+  return false;
+};
+
+// ISO-BMFF (AVIF, HEIC): every top-level box has to fit in the file
+const isCompleteIsoBmff = (buffer) => {
+  let offset = 0;
+  while (offset < buffer.length) {
+    if (offset + 8 > buffer.length) {
+      return false;
+    }
+    let size = buffer.readUInt32BE(offset);
+    if (size === 0) {
+      // The last box runs to the end of the file
+      return true;
+    }
+    if (size === 1) {
+      if (offset + 16 > buffer.length) {
+        return false;
+      }
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+    }
+    if (size < 8) {
+      return false;
+    }
+    offset += size;
+  }
+  return offset === buffer.length;
+};
+
+// Whether a file of each format is complete, from its structure alone. TIFF directories
+// can point anywhere in the file, so TIFFs are left to the decoder.
+const COMPLETENESS_CHECKS = {
+  jpeg: isCompleteJpeg,
+  png: isCompletePng,
+  // GIF trailer
+  gif: buffer => buffer[buffer.length - 1] === 0x3b,
+  // RIFF size covers everything after the first 8 bytes
+  webp: buffer => buffer.readUInt32LE(4) + 8 <= buffer.length,
+  // File size field; some writers leave it 0
+  bmp: buffer => buffer.length >= 26 && buffer.readUInt32LE(2) <= buffer.length,
+  avif: isCompleteIsoBmff,
+  heic: isCompleteIsoBmff
+};
+
+class ImageDecoder {
+  constructor() {
+    this.formats = INPUT_FORMATS;
+    this.colorProfiles = COLOR_PROFILES;
+    // Larger images are rejected before they are decoded
+    this.maxPixels = Number(process.env.MAX_IMAGE_MEGAPIXELS || 100) * 1000 * 1000;
+    this.maxDimension = Number(process.env.MAX_IMAGE_DIMENSION || 20000);
+  }
+
+  // Validate a requested colour profile, defaulting to sRGB
+  resolveColorProfile(value) {
+    if (value === undefined || value === null || value === '') {
+      return 'srgb';
+    }
+    const profile = String(value).trim().toLowerCase();
+    if (!COLOR_PROFILES[profile]) {
+      throw new Error(`Invalid colorProfile '${value}'. Expected one of: ${Object.keys(COLOR_PROFILES).join(', ')}`);
+    }
+    return profile;
+  }
+
+  getFormatNames() {
+    return Object.keys(this.formats);
+  }
+
+  // Identify the input format from its leading bytes, ignoring any client-supplied MIME type.
+  // Returns null when the bytes don't match a supported format.
+  detectFormat(buffer) {
+    if (!buffer || buffer.length < 12) {
+      return null;
+    }
+
+    let format = null;
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+      format = 'jpeg';
+    } else if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+      format = 'png';
+    } else if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') {
+      format = 'gif';
+    } else if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) {
+      format = 'tiff';
+    } else if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') {
+      format = 'webp';
+    } else if (ascii(buffer, 0, 2) === 'BM') {
+      format = 'bmp';
+    } else if (ascii(buffer, 4, 8) === 'ftyp') {
+      format = this.detectHeifBrand(buffer);
+    }
+
+    return format ? { format, ...this.formats[format] } : null;
+  }
+
+  // Look at the major and compatible brands of the ftyp box to tell HEIC from AVIF
+  detectHeifBrand(buffer) {
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [ascii(buffer, 8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+      brands.push(ascii(buffer, offset, offset + 4));
+    }
+
+    if (AVIF_BRANDS.includes(brands[0])) {
+      return 'avif';
+    }
+    if (HEIC_BRANDS.includes(brands[0])) {
+      return 'heic';
+    }
+    // Generic mif1/msf1 major brand: decide on the compatible brands
+    if (brands.some(brand => AVIF_BRANDS.includes(brand))) {
+      return 'avif';
+    }
+    if (brands.some(brand => HEIC_BRANDS.includes(brand))) {
+      return 'heic';
+    }
+    return null;
+  }
+
+  // Check an input before it is queued or converted: the file must be complete and its
+  // header dimensions within the limits. `partial` is for the first bytes of a larger
+  // upload, where only the header is checked. Resolves with the dimensions; throws
+  // INVALID_IMAGE or DECOMPRESSION_BOMB errors.
+  async validate(buffer, format, { partial = false } = {}) {
+    const isComplete = COMPLETENESS_CHECKS[format];
+    if (!partial && isComplete && !isComplete(buffer)) {
+      throw codedError('INVALID_IMAGE', `The ${format} file is truncated or corrupt`);
+    }
+
+    const dimensions = await this.readDimensions(buffer, format);
+    if (!dimensions) {
+      throw codedError('INVALID_IMAGE', `Could not read the dimensions of the ${format} image`);
+    }
+    const { width, height } = dimensions;
+    if (width > this.maxDimension || height > this.maxDimension) {
+      throw codedError(
+        'DECOMPRESSION_BOMB',
+        `${width}x${height} image is over the ${this.maxDimension} pixel limit per side`
+      );
+    }
+    if (width * height > this.maxPixels) {
+      throw codedError(
+        'DECOMPRESSION_BOMB',
+        `${width}x${height} image is over the ${this.maxPixels / 1000000} megapixel limit`
+      );
+    }
+    return dimensions;
+  }
+
+  // Pixel dimensions from the file header, without decoding the image.
+  // Returns null when the header can't be read.
+  async readDimensions(buffer, format) {
+    const definition = this.formats[format];
+    if (!definition) {
+      return null;
+    }
+
+    if (definition.sharpReadable) {
+      try {
+        // Only the first frame of animated inputs is decoded
+        const { width, height } = await sharp(buffer).metadata();
+        return width && height ? { width, height } : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (format === 'bmp' && buffer.length >= 26) {
+      // BITMAPINFOHEADER: int32 width and height (negative height means top-down)
+      return { width: Math.abs(buffer.readInt32LE(18)), height: Math.abs(buffer.readInt32LE(22)) };
+    }
+
+    if (format === 'heic') {
+      return this.readHeifDimensions(buffer);
+    }
+
+    return null;
+  }
+
+  // Largest 'ispe' (image spatial extents) property in a HEIF container; thumbnails and
+  // grid tiles carry their own, smaller ones
+  readHeifDimensions(buffer) {
+    let best = null;
+    for (let offset = buffer.indexOf('ispe', 0, 'latin1'); offset !== -1; offset = buffer.indexOf('ispe', offset + 4, 'latin1')) {
+      // box type, then 4 bytes version/flags, then uint32 width and height
+      if (offset + 16 > buffer.length) {
+        break;
+      }
+      const width = buffer.readUInt32BE(offset + 8);
+      const height = buffer.readUInt32BE(offset + 12);
+      if (!best || width * height > best.width * best.height) {
+        best = { width, height };
+      }
+    }
+    return best;
+  }
+
+  // Decode an input buffer into an upright Jimp image with pixels in the requested colour
+  // profile ('srgb' or 'p3'). Resolves with { image, colorProfile }, where `colorProfile` is
+  // the profile the pixels actually ended up in: only images with an embedded profile are
+  // converted to Display P3.
+  async decode(buffer, format, { colorProfile = 'srgb' } = {}) {
+    const definition = this.formats[format];
+    if (!definition) {
+      throw new Error(`Unsupported input format '${format}'`);
+    }
+
+    if (definition.decoder === 'sharp') {
+      // Images without an embedded profile are sRGB and stay that way
+      const { hasProfile } = await sharp(buffer).metadata();
+      const profile = colorProfile === 'p3' && hasProfile ? 'p3' : 'srgb';
+
+      // rotate() applies the EXIF orientation. Converting from the embedded profile to
+      // Display P3 has to happen at 16 bits, otherwise sharp clips to sRGB on the way.
+      let pipeline = sharp(buffer).rotate();
+      if (profile === 'p3') {
+        pipeline = pipeline.pipelineColourspace('rgb16').withIccProfile('p3');
+      }
+      const { data, info } = await pipeline
+        .toColourspace('srgb')
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      return { image: new Jimp({ data, width: info.width, height: info.height }), colorProfile: profile };
+    }
+
+    // BMP has no orientation or profile; HEIC rotation is applied by libheif, but its
+    // colour profile isn't read. Both are treated as sRGB.
+    if (definition.decoder === 'jimp') {
+      return { image: await Jimp.read(buffer), colorProfile: 'srgb' };
+    }
+
+    // HEIC: libheif (wasm) returns RGBA pixels
+    const { width, height, data } = await decodeHeic({ buffer });
+    const image = new Jimp({ data: Buffer.from(data.buffer, data.byteOffset, data.byteLength), width, height });
+    return { image, colorProfile: 'srgb' };
+  }
+}
+
+export default new ImageDecoder();
@@ -1,11 +1,50 @@
+import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import redisService from './redis-service.js';
+import cacheService from './cache-service.js';
+import queueService from './queue-service.js';
+import metricsService from './metrics-service.js';
+import storageService from './storage-service.js';
+import { errorCode } from '../utils/errors.js';
 import winston from 'winston';
 
+const JOB_STATUSES = ['queued', 'processing', 'retrying', 'completed', 'failed', 'cancelled'];
+// Statuses a job only leaves when it is re-run
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Index entries examined per GET /jobs page before it is cut short
+const LIST_SCAN_LIMIT = 1000;
+
 class JobService {
   constructor() {
     this.keyPrefix = 'jpeg2avif:job:';
+    // Queued jobs wait in per-client, per-priority lanes (see queue-service). This single
+    // list is where earlier versions queued them; it is still drained.
     this.queueKey = 'jpeg2avif:queue';
+    // Reliable queue: jobs being worked on sit in the processing list while their worker
+    // keeps a heartbeat key alive; failed attempts wait in the delayed set before a retry
+    this.processingKey = 'jpeg2avif:processing';
+    this.delayedKey = 'jpeg2avif:delayed';
+    this.deadLetterKey = 'jpeg2avif:dead-letter';
+    this.heartbeatPrefix = 'jpeg2avif:heartbeat:';
+    // Cancellation requests, kept apart from the job record: workers rewrite the record
+    // while converting and would drop a flag set on it in the meantime
+    this.cancelPrefix = 'jpeg2avif:cancel:';
+    // Pub/sub channel per job for status changes and conversion progress
+    this.eventsPrefix = 'jpeg2avif:events:';
+    // Every job ID scored by its creation time, for listing
+    this.indexKey = 'jpeg2avif:jobs';
+    this.statuses = JOB_STATUSES;
+    this.finalStatuses = FINAL_STATUSES;
+    this.maxAttempts = Number(process.env.JOB_MAX_ATTEMPTS || 3);
+    this.retryBaseMs = Number(process.env.JOB_RETRY_BASE_MS || 5000);
+    this.retryMaxMs = Number(process.env.JOB_RETRY_MAX_MS || 300000);
+    this.visibilityTimeout = Number(process.env.JOB_VISIBILITY_TIMEOUT_SECONDS || 60);
+    this.maintenanceInterval = Number(process.env.JOB_MAINTENANCE_INTERVAL_MS || 5000);
+    // Processing entries seen without a heartbeat on the previous reaper pass
+    this.stallSuspects = new Set();
+    // Job records live as long as their stored objects (see STORAGE_RETENTION_HOURS)
+    this.jobTtl = Math.round(Number(process.env.STORAGE_RETENTION_HOURS || 24) * 3600);
     this.logger = winston.createLogger({
       level: 'info',
       format: winston.format.combine(
@@ -24,13 +63,26 @@ class JobService {
     });
   }
 
-  async createJob(jobData) {
-    const jobId = uuidv4();
-    const job = {
+  generateJobId() {
+    return uuidv4();
+  }
+
+  // Create and queue a job. A job with a `cacheKey` (see cache-service) completes straight
+  // away from a cached result, or waits for an identical job already being converted
+  // (`attachedTo`) instead of being queued.
+  async createJob({ id, ...jobData }) {
+    const jobId = id || this.generateJobId();
+    const now = new Date().toISOString();
+    let job = {
       id: jobId,
       status: 'queued',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
+      priority: queueService.defaultPriority,
+      createdAt: now,
+      updatedAt: now,
+      queuedAt: now,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      attemptErrors: [],
       ...jobData
     };
 
@@ -39,15 +91,38 @@ class JobService {
     }
 
     try {
+      if (job.cacheKey) {
+        job = { ...job, ...await this.resolveCache(job) };
+        if (job.cacheHit) {
+          metricsService.recordJobFinished('completed');
+        }
+      }
+
       // Store job data
       await redisService.set(
         `${this.keyPrefix}${jobId}`,
         job,
-        86400 // 24 hours expiry
+        this.recordTtl(job)
       );
       
+      // Index it for listing, dropping entries of jobs that have expired since
+      const createdAt = Date.parse(job.createdAt);
+      await redisService.zadd(this.indexKey, createdAt, { jobId });
+      await redisService.zremrangebyscore(this.indexKey, '-inf', createdAt - this.jobTtl * 1000);
+
+      if (job.cacheHit) {
+        await this.deleteSource(jobData.sourceKey);
+        this.logger.info(`Created job ${jobId} from the cached result of job ${job.cachedFrom}`);
+        return job;
+      }
+
+      if (job.attachedTo) {
+        this.logger.info(`Created job ${jobId}, waiting for identical job ${job.attachedTo}`);
+        return await this.attachFollower(job);
+      }
+
       // Add to processing queue
-      await redisService.lpush(this.queueKey, { jobId });
+      await queueService.push(job);
       
       this.logger.info(`Created job ${jobId} with status: ${job.status}`);
       return job;
@@ -57,6 +132,143 @@ class JobService {
     }
   }
 
+  // Look up a job's `cacheKey`. Resolves with the fields that complete the job from a cached
+  // result, or that attach it to an identical job being converted (`attachedTo`); with none
+  // of those the job has claimed the key and is converted itself.
+  async resolveCache(job) {
+    const source = await this.findCachedResult(job.cacheKey);
+    if (source) {
+      await cacheService.addReference(source.id, this.jobTtl);
+      metricsService.recordCacheRequest('hit');
+      return this.cachedCompletion(job, source);
+    }
+    const leaderId = await cacheService.claim(job.cacheKey, job.id, this.jobTtl);
+    metricsService.recordCacheRequest(leaderId ? 'attached' : 'miss');
+    return { attachedTo: leaderId || null };
+  }
+
+  // List a stored job as a follower of the job it is `attachedTo`. Resolves with the job,
+  // settled already when the leader finished before it was listed.
+  async attachFollower(job) {
+    await cacheService.addFollower(job.attachedTo, job.id, this.jobTtl);
+    // The leader may have finished before we were listed; then nobody else settles us
+    const leader = await this.getJobStatus(job.attachedTo);
+    if (!leader || FINAL_STATUSES.includes(leader.status)) {
+      await this.settleFollowers(leader || { id: job.attachedTo, status: 'failed' });
+      return await this.getJobStatus(job.id);
+    }
+    return job;
+  }
+
+  // Seconds a job record is kept. Jobs completed from a cached result expire together with
+  // the job whose outputs they use.
+  recordTtl(job) {
+    if (!job.expiresAt) {
+      return this.jobTtl;
+    }
+    return Math.max(Math.ceil((Date.parse(job.expiresAt) - Date.now()) / 1000), 1);
+  }
+
+  // When a job's record and outputs expire
+  expiresAt(job) {
+    return job.expiresAt || new Date(Date.parse(job.updatedAt) + this.jobTtl * 1000).toISOString();
+  }
+
+  // The completed job holding the cached result of `cacheKey`, or null
+  async findCachedResult(cacheKey) {
+    const entry = await cacheService.lookup(cacheKey);
+    if (!entry) {
+      return null;
+    }
+
+    // Deleted or expired since it was cached
+    const source = await this.getJobStatus(entry.jobId);
+    if (source?.status !== 'completed' || !source.results) {
+      await cacheService.remove(cacheKey);
+      return null;
+    }
+    return source;
+  }
+
+  // Remove the stored source of a job completed from a cached result; it is never read
+  async deleteSource(sourceKey) {
+    if (!sourceKey) {
+      return;
+    }
+    try {
+      await storageService.delete(sourceKey);
+    } catch (error) {
+      this.logger.warn(`Failed to remove source ${sourceKey}:`, error.message);
+    }
+  }
+
+  // Updates completing `job` with the results of `source`. The outputs stay where `source`
+  // stored them; only the download filenames follow the job's own upload.
+  cachedCompletion(job, source) {
+    const baseName = path.parse(job.originalName || 'image').name;
+    const renditions = {};
+    for (const [name, rendition] of Object.entries(source.results.renditions || {})) {
+      const formats = {};
+      for (const [format, output] of Object.entries(rendition.formats)) {
+        formats[format] = { ...output, filename: `${baseName}_${name}${path.extname(output.filename)}` };
+      }
+      renditions[name] = { ...rendition, formats };
+    }
+
+    return {
+      status: 'completed',
+      results: { ...source.results, renditions },
+      processingTime: Date.now() - Date.parse(job.queuedAt || job.createdAt),
+      cacheHit: true,
+      cachedFrom: source.id,
+      attachedTo: null,
+      // The job's own source is removed (see deleteSource)
+      sourceKey: null,
+      expiresAt: this.expiresAt(source)
+    };
+  }
+
+  // Called once a job with a cache key has finished: caches its result if it completed,
+  // then settles the jobs that were waiting for it. Resolves with those jobs.
+  async settleCache(job) {
+    if (!job.cacheKey || job.cacheHit) {
+      return [];
+    }
+
+    if (job.status === 'completed') {
+      await cacheService.store(job.cacheKey, job.id, this.expiresAt(job));
+    }
+    await cacheService.release(job.cacheKey, job.id);
+    return await this.settleFollowers(job);
+  }
+
+  // Complete the jobs waiting for `leader` from its result, or queue them on their own
+  // when it didn't complete
+  async settleFollowers(leader) {
+    const settled = [];
+
+    for (let jobId = await cacheService.takeFollower(leader.id); jobId; jobId = await cacheService.takeFollower(leader.id)) {
+      const follower = await this.getJobStatus(jobId);
+      // Cancelled while waiting
+      if (follower?.status !== 'queued' || follower.attachedTo !== leader.id) {
+        continue;
+      }
+
+      if (leader.status === 'completed') {
+        await cacheService.addReference(leader.id, this.jobTtl);
+        settled.push(await this.updateJobStatus(jobId, this.cachedCompletion(follower, leader)));
+        await this.deleteSource(follower.sourceKey);
+      } else {
+        const requeuedJob = await this.updateJobStatus(jobId, { attachedTo: null, queuedAt: new Date().toISOString() });
+        settled.push(requeuedJob);
+        await queueService.push(requeuedJob);
+        this.logger.info(`Job ${jobId} queued on its own after job ${leader.id} ended ${leader.status}`);
+      }
+    }
+
+    return settled;
+  }
+
   async getJobStatus(jobId) {
     if (!redisService.isConnected()) {
       throw new Error('Redis not connected - cannot get job status');
@@ -75,6 +287,20 @@ class JobService {
     }
   }
 
+  // Several jobs in one round trip; missing (expired) jobs come back as null
+  async getJobs(jobIds) {
+    if (!redisService.isConnected()) {
+      throw new Error('Redis not connected - cannot get job status');
+    }
+
+    try {
+      return await redisService.mget(jobIds.map(jobId => `${this.keyPrefix}${jobId}`));
+    } catch (error) {
+      this.logger.error('Failed to get jobs:', error.message);
+      throw new Error(`Failed to get jobs: ${error.message}`);
+    }
+  }
+
   async updateJobStatus(jobId, updates) {
     if (!redisService.isConnected()) {
       throw new Error('Redis not connected - cannot update job status');
@@ -95,9 +321,16 @@ class JobService {
       await redisService.set(
         `${this.keyPrefix}${jobId}`,
         updatedJob,
-        86400 // 24 hours expiry
+        this.recordTtl(updatedJob)
       );
 
+      if (updatedJob.status !== job.status) {
+        await this.publishEvent(jobId, { type: 'status', job: this.getJobSummary(updatedJob) });
+        if (FINAL_STATUSES.includes(updatedJob.status)) {
+          metricsService.recordJobFinished(updatedJob.status);
+        }
+      }
+
       this.logger.info(`Updated job ${jobId} status to: ${updatedJob.status}`);
       return updatedJob;
     } catch (error) {
@@ -106,40 +339,544 @@ class JobService {
     }
   }
 
-  async getNextJob() {
+  async getNextJob(timeout = 5) {
     if (!redisService.isConnected()) {
       throw new Error('Redis not connected - cannot get next job');
     }
 
     try {
-      // Block and wait for next job (30 second timeout)
-      const result = await redisService.brpop(this.queueKey, 30);
+      // Wait up to `timeout` seconds for a job, moving it onto the processing list in the
+      // same step it is taken. An idle worker blocks until a job is pushed rather than
+      // polling the queue.
+      const deadline = Date.now() + timeout * 1000;
+      let result = await this.takeNextJob();
+      while (!result) {
+        const remaining = (deadline - Date.now()) / 1000;
+        if (remaining < 0.01) {
+          break;
+        }
+        const mayHaveJob = await queueService.dropWakeUps();
+        if (!mayHaveJob && !await queueService.waitForJob(remaining)) {
+          break;
+        }
+        result = await this.takeNextJob();
+      }
       if (!result) {
         return null;
       }
 
       const { jobId } = result;
+      await this.heartbeat(jobId);
+
       const job = await this.getJobStatus(jobId);
-      
       if (!job) {
         this.logger.warn(`Job ${jobId} not found in Redis, skipping`);
+        await this.acknowledgeJob(jobId);
+        return null;
+      }
+      // Cancelled while it was being claimed
+      if (job.status === 'cancelled') {
+        await this.acknowledgeJob(jobId);
         return null;
       }
 
-      return job;
+      // Time since the job was queued, or since its retry became due
+      const waitTime = Math.max(Date.now() - Math.max(Date.parse(job.queuedAt || job.createdAt), Date.parse(job.nextAttemptAt) || 0), 0);
+      const priority = job.priority || queueService.defaultPriority;
+      await queueService.recordWait(priority, waitTime);
+      metricsService.recordQueueWait(priority, waitTime);
+
+      // Count the attempt as soon as the job is claimed so a crash mid-conversion still counts
+      return await this.updateJobStatus(jobId, {
+        attempts: (job.attempts || 0) + 1,
+        waitTime
+      });
     } catch (error) {
       this.logger.error(`Failed to get next job:`, error.message);
       throw new Error(`Failed to get next job: ${error.message}`);
     }
   }
 
+  // The next job by fair share, or one left on the single list of earlier versions
+  async takeNextJob() {
+    return await queueService.take(this.processingKey) || await redisService.lmove(this.queueKey, this.processingKey);
+  }
+
+  // Keep a claimed job from being reaped; workers call this while converting
+  async heartbeat(jobId) {
+    await redisService.set(`${this.heartbeatPrefix}${jobId}`, { at: Date.now() }, this.visibilityTimeout);
+  }
+
+  // Length of each queue, for GET /metrics
+  async getQueueDepths() {
+    const [priorities, legacy, processing, delayed, deadLetter] = await Promise.all([
+      queueService.getStats(),
+      redisService.llen(this.queueKey),
+      redisService.llen(this.processingKey),
+      redisService.zcard(this.delayedKey),
+      redisService.llen(this.deadLetterKey)
+    ]);
+    const queued = Object.values(priorities).reduce((total, { queued }) => total + queued, legacy);
+    return { queued, processing, delayed, dead_letter: deadLetter };
+  }
+
+  // Queued jobs and recent wait times per priority (see queue-service)
+  async getPriorityStats() {
+    return await queueService.getStats();
+  }
+
+  // Remove a finished job from the processing list
+  async acknowledgeJob(jobId) {
+    await redisService.lrem(this.processingKey, { jobId });
+    await redisService.del(`${this.heartbeatPrefix}${jobId}`);
+  }
+
+  // Hand a claimed job back to the queue (e.g. on worker shutdown) without counting the
+  // interrupted attempt. It goes to the consuming end so it is picked up next.
+  async requeueJob(jobId) {
+    const job = await this.getJobStatus(jobId);
+    if (job) {
+      const requeuedJob = await this.updateJobStatus(jobId, {
+        status: 'queued',
+        attempts: Math.max((job.attempts || 1) - 1, 0),
+        queuedAt: new Date().toISOString()
+      });
+      await queueService.push(requeuedJob, { next: true });
+    }
+    await this.acknowledgeJob(jobId);
+    this.logger.info(`Job ${jobId} handed back to the queue`);
+  }
+
+  // Backoff before the next attempt: base * 2^(attempts - 1), capped
+  retryDelay(attempts) {
+    return Math.min(this.retryBaseMs * 2 ** Math.max(attempts - 1, 0), this.retryMaxMs);
+  }
+
+  // Record a failed attempt. The job is scheduled for another attempt with backoff,
+  // or marked failed and moved to the dead-letter queue once it is out of attempts
+  // (or straight away when the error is flagged `retryable: false`).
+  // Returns the updated job; `status === 'failed'` means the failure is final.
+  // A job with a pending cancellation ends as `cancelled` instead.
+  async failJob(jobId, error, updates = {}) {
+    const job = await this.getJobStatus(jobId);
+    if (!job) {
+      await this.acknowledgeJob(jobId);
+      return null;
+    }
+
+    if (job.cancelRequested || await this.isCancelRequested(jobId)) {
+      const cancelledJob = await this.updateJobStatus(jobId, {
+        ...updates,
+        status: 'cancelled',
+        cancelRequested: true,
+        nextAttemptAt: null
+      });
+      await this.acknowledgeJob(jobId);
+      await this.settleCache(cancelledJob);
+      this.logger.info(`Job ${jobId} cancelled`);
+      return cancelledJob;
+    }
+
+    const attempts = job.attempts || 0;
+    const maxAttempts = job.maxAttempts || this.maxAttempts;
+    const attemptErrors = [
+      ...(job.attemptErrors || []),
+      { attempt: attempts, error: error.message, code: errorCode(error), failedAt: new Date().toISOString() }
+    ];
+
+    let updatedJob;
+    if (attempts < maxAttempts && error.retryable !== false) {
+      const delay = this.retryDelay(attempts);
+      updatedJob = await this.updateJobStatus(jobId, {
+        ...updates,
+        status: 'retrying',
+        error: error.message,
+        errorCode: errorCode(error),
+        attemptErrors,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString()
+      });
+      await redisService.zadd(this.delayedKey, Date.now() + delay, { jobId });
+      this.logger.warn(`Job ${jobId} attempt ${attempts}/${maxAttempts} failed, retrying in ${delay}ms`);
+    } else {
+      updatedJob = await this.updateJobStatus(jobId, {
+        ...updates,
+        status: 'failed',
+        error: error.message,
+        errorCode: errorCode(error),
+        attemptErrors,
+        nextAttemptAt: null
+      });
+      await redisService.lpush(this.deadLetterKey, { jobId });
+      this.logger.error(`Job ${jobId} failed after ${attempts} attempts, moved to dead-letter queue`, {
+        retryable: error.retryable !== false
+      });
+    }
+
+    await this.acknowledgeJob(jobId);
+    if (updatedJob.status === 'failed') {
+      await this.settleCache(updatedJob);
+    }
+    return updatedJob;
+  }
+
+  // Cancel a job that hasn't finished. Queued and retrying jobs are cancelled straight away.
+  // A processing job is only flagged: its worker is told over pub/sub and gives up at its
+  // next step (see failJob). Returns the updated job.
+  async cancelJob(jobId) {
+    const job = await this.getJobStatus(jobId);
+    if (!job) {
+      return null;
+    }
+
+    // The request also stops a worker that claims the job in the meantime
+    await redisService.set(`${this.cancelPrefix}${jobId}`, { at: Date.now() }, this.jobTtl);
+
+    if (job.status === 'processing') {
+      const updatedJob = await this.updateJobStatus(jobId, { cancelRequested: true });
+      await this.publishEvent(jobId, { type: 'cancel_requested', jobId, at: new Date().toISOString() });
+      this.logger.info(`Cancellation of job ${jobId} requested`);
+      return updatedJob;
+    }
+
+    await queueService.remove(job);
+    await redisService.lrem(this.queueKey, { jobId });
+    await redisService.zrem(this.delayedKey, { jobId });
+    const cancelledJob = await this.updateJobStatus(jobId, {
+      status: 'cancelled',
+      cancelRequested: true,
+      nextAttemptAt: null
+    });
+    await this.settleCache(cancelledJob);
+    return cancelledJob;
+  }
+
+  // Whether cancelJob was called for a job that hasn't ended since
+  async isCancelRequested(jobId) {
+    return Boolean(await redisService.get(`${this.cancelPrefix}${jobId}`));
+  }
+
+  // Resolves with an unsubscribe function; `onCancel` is called when cancelJob flags the job
+  async onCancelRequested(jobId, onCancel) {
+    return await redisService.subscribe(`${this.eventsPrefix}${jobId}`, (event) => {
+      if (event.type === 'cancel_requested') {
+        onCancel();
+      }
+    });
+  }
+
+  // Queue a failed or cancelled job again from its stored source. `overrides` replace
+  // the job's options (renditions, output, metadataPolicy, ...); attempts start over. With
+  // unchanged options the job goes through the result cache like a new one: it may complete
+  // from a cached result or wait for an identical job being converted.
+  async rerunJob(jobId, overrides = {}) {
+    const job = await this.getJobStatus(jobId);
+    if (!job) {
+      return null;
+    }
+
+    // Different options make a different result; a job that waited for another runs on its own
+    const optionsChanged = ['renditions', 'focalPoint', 'operations', 'output', 'metadataPolicy', 'colorProfile'].some(field => field in overrides);
+    let updates = {
+      ...overrides,
+      cacheKey: optionsChanged ? null : job.cacheKey,
+      attachedTo: null,
+      cacheHit: false,
+      cachedFrom: null,
+      expiresAt: null,
+      status: 'queued',
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+      attemptErrors: [],
+      error: null,
+      errorCode: null,
+      results: null,
+      processingTime: null,
+      nextAttemptAt: null,
+      cancelRequested: false,
+      webhook: null,
+      runs: (job.runs || 1) + 1
+    };
+    if (updates.cacheKey) {
+      updates = { ...updates, ...await this.resolveCache({ ...job, ...updates }) };
+    }
+    const updatedJob = await this.updateJobStatus(jobId, updates);
+    await redisService.del(`${this.cancelPrefix}${jobId}`);
+    await redisService.lrem(this.deadLetterKey, { jobId });
+
+    if (updatedJob.cacheHit) {
+      await this.deleteSource(job.sourceKey);
+      this.logger.info(`Job ${jobId} completed from the cached result of job ${updatedJob.cachedFrom} (run ${updatedJob.runs})`);
+      return updatedJob;
+    }
+    if (updatedJob.attachedTo) {
+      this.logger.info(`Job ${jobId} waiting for identical job ${updatedJob.attachedTo} (run ${updatedJob.runs})`);
+      return await this.attachFollower(updatedJob);
+    }
+    await queueService.push(updatedJob);
+    this.logger.info(`Job ${jobId} queued again (run ${updatedJob.runs})`);
+    return updatedJob;
+  }
+
+  // Jobs newest first, optionally filtered by `statuses`, `clientId` and creation time
+  // (`from`/`to`, ms). Resolves with { jobs, nextCursor }; pass `nextCursor` back as `cursor`
+  // for the next page. A page holds fewer than `limit` jobs when few entries match, and
+  // `nextCursor` is null only once there is nothing left to examine.
+  async listJobs({ statuses, clientId, from, to, limit = 50, cursor } = {}) {
+    if (!redisService.isConnected()) {
+      throw new Error('Redis not connected - cannot list jobs');
+    }
+
+    const position = cursor ? this.decodeCursor(cursor) : null;
+    const max = position ? Math.min(position.score, to ?? Infinity) : to;
+    const jobs = [];
+    let last = position;
+    let scanned = 0;
+    let offset = 0;
+    let exhausted = false;
+
+    try {
+      while (jobs.length < limit && scanned < LIST_SCAN_LIMIT) {
+        const entries = await redisService.zrevrangebyscore(
+          this.indexKey,
+          max ?? '+inf',
+          from ?? '-inf',
+          { offset, count: Math.min(limit * 2, 200) }
+        );
+        offset += entries.length;
+        if (!entries.length) {
+          exhausted = true;
+          break;
+        }
+
+        // Entries with the cursor's score that sort at or above it were on earlier pages
+        const unseen = entries.filter(({ value, score }) =>
+          !position || score < position.score || value.jobId < position.jobId
+        );
+        const records = await this.getJobs(unseen.map(({ value }) => value.jobId));
+
+        for (const [index, entry] of unseen.entries()) {
+          if (jobs.length === limit) {
+            break;
+          }
+          last = { score: entry.score, jobId: entry.value.jobId };
+          scanned++;
+
+          const job = records[index];
+          if (!job) {
+            // Expired or deleted
+            await redisService.zrem(this.indexKey, entry.value);
+            offset--;
+            continue;
+          }
+          if (statuses?.length && !statuses.includes(job.status)) {
+            continue;
+          }
+          if (clientId && job.clientId !== clientId) {
+            continue;
+          }
+          jobs.push(job);
+        }
+      }
+    } catch (error) {
+      this.logger.error('Failed to list jobs:', error.message);
+      throw new Error(`Failed to list jobs: ${error.message}`);
+    }
+
+    return {
+      jobs,
+      nextCursor: exhausted || !last ? null : this.encodeCursor(last)
+    };
+  }
+
+  // Cursors are opaque to clients: the index position of the last job examined
+  encodeCursor({ score, jobId }) {
+    return Buffer.from(`${score}:${jobId}`).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    const [score, jobId] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+    if (!Number.isFinite(Number(score)) || !jobId) {
+      throw new Error('Invalid cursor');
+    }
+    return { score: Number(score), jobId };
+  }
+
+  // Move retries whose backoff has elapsed back onto their lane
+  async promoteDelayedJobs() {
+    const due = await redisService.zrangebyscore(this.delayedKey, 0, Date.now());
+    for (const entry of due) {
+      // Only the process that removes the entry requeues it
+      if (await redisService.zrem(this.delayedKey, entry)) {
+        const job = await this.getJobStatus(entry.jobId);
+        if (job) {
+          await queueService.push(job);
+        }
+      }
+    }
+    return due.length;
+  }
+
+  // Fail the attempt of processing jobs whose worker stopped heartbeating.
+  // An entry must be missing its heartbeat on two consecutive passes, so a job
+  // claimed a moment before its first heartbeat is not mistaken for a stalled one.
+  async reapStalledJobs() {
+    const entries = await redisService.lrange(this.processingKey);
+    const suspects = new Set();
+    let reaped = 0;
+
+    for (const { jobId } of entries) {
+      if (await redisService.exists(`${this.heartbeatPrefix}${jobId}`)) {
+        continue;
+      }
+      if (!this.stallSuspects.has(jobId)) {
+        suspects.add(jobId);
+        continue;
+      }
+
+      // Only the process that removes the entry handles the stalled job
+      if (await redisService.lrem(this.processingKey, { jobId })) {
+        this.logger.warn(`Job ${jobId} stalled (no worker heartbeat), releasing it`);
+        await this.failJob(jobId, new Error('Worker stopped heartbeating'));
+        reaped++;
+      }
+    }
+
+    this.stallSuspects = suspects;
+    return reaped;
+  }
+
+  // Periodic queue upkeep, run by every worker process
+  async runMaintenance() {
+    if (!redisService.isConnected()) {
+      return;
+    }
+
+    try {
+      await this.promoteDelayedJobs();
+      await this.reapStalledJobs();
+    } catch (error) {
+      this.logger.error('Queue maintenance failed:', error.message);
+    }
+  }
+
+  // Events reach whichever API process has a client watching the job. Publishing is best
+  // effort: a lost event must not fail the job.
+  async publishEvent(jobId, event) {
+    try {
+      await redisService.publish(`${this.eventsPrefix}${jobId}`, event);
+    } catch (error) {
+      this.logger.warn(`Failed to publish event for job ${jobId}:`, error.message);
+    }
+  }
+
+  // `progress` is { step, completed, total, ... } from the worker
+  async publishProgress(jobId, progress) {
+    await this.publishEvent(jobId, { type: 'progress', jobId, ...progress, at: new Date().toISOString() });
+  }
+
+  // Call `onEvent` with the job's current state ({ type: 'status', job }), then with every
+  // event published for it. Resolves with an unsubscribe function, or null if the job doesn't exist.
+  async watchJob(jobId, onEvent) {
+    // Subscribe before reading the job so nothing published in between is lost
+    let pending = [];
+    const unsubscribe = await redisService.subscribe(`${this.eventsPrefix}${jobId}`, (event) => {
+      if (pending) {
+        pending.push(event);
+      } else {
+        onEvent(event);
+      }
+    });
+
+    let job;
+    try {
+      job = await this.getJobStatus(jobId);
+    } catch (error) {
+      await unsubscribe();
+      throw error;
+    }
+    if (!job) {
+      await unsubscribe();
+      return null;
+    }
+
+    onEvent({ type: 'status', job: this.getJobSummary(job) });
+    // Status changes the snapshot already includes are skipped
+    for (const event of pending) {
+      if (event.type !== 'status' || event.job.updatedAt > job.updatedAt) {
+        onEvent(event);
+      }
+    }
+    pending = null;
+
+    return unsubscribe;
+  }
+
+  // Public view of a job, shared by the status endpoint and webhook payloads.
+  // Rendition outputs get download URLs; internal fields (callback secret, source key) stay out.
+  getJobSummary(job) {
+    return {
+      jobId: job.id,
+      batchId: job.batchId,
+      clientId: job.clientId,
+      status: job.status,
+      cancelRequested: job.cancelRequested,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      processingTime: job.processingTime,
+      results: this.presentResults(job),
+      error: job.error,
+      errorCode: job.errorCode,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      attemptErrors: job.attemptErrors,
+      nextAttemptAt: job.nextAttemptAt,
+      runs: job.runs,
+      priority: job.priority,
+      queuedAt: job.queuedAt,
+      waitTime: job.waitTime,
+      sourceUrl: job.sourceUrl,
+      cacheHit: Boolean(job.cacheHit),
+      cachedFrom: job.cachedFrom,
+      attachedTo: job.attachedTo,
+      webhook: job.webhook
+    };
+  }
+
+  presentResults(job) {
+    if (!job.results?.renditions) {
+      return job.results;
+    }
+
+    const renditions = {};
+    for (const [name, rendition] of Object.entries(job.results.renditions)) {
+      const formats = {};
+      for (const [format, output] of Object.entries(rendition.formats)) {
+        formats[format] = {
+          ...output,
+          url: `/jobs/${job.id}/renditions/${encodeURIComponent(name)}?format=${format}`
+        };
+      }
+      renditions[name] = { ...rendition, formats };
+    }
+
+    return { ...job.results, renditions };
+  }
+
   async deleteJob(jobId) {
     if (!redisService.isConnected()) {
       throw new Error('Redis not connected - cannot delete job');
     }
 
     try {
+      // Stop serving its result from the cache
+      const job = await this.getJobStatus(jobId);
+      if (job?.cacheKey && (await cacheService.lookup(job.cacheKey))?.jobId === jobId) {
+        await cacheService.remove(job.cacheKey);
+      }
+
       await redisService.del(`${this.keyPrefix}${jobId}`);
+      await redisService.zrem(this.indexKey, { jobId });
+      await redisService.lrem(this.deadLetterKey, { jobId });
       this.logger.info(`Deleted job ${jobId}`);
     } catch (error) {
       this.logger.error(`Failed to delete job ${jobId}:`, error.message);
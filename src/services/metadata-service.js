@@ -0,0 +1,258 @@
+import { exiftool } from 'exiftool-vendored';
+
+const METADATA_MODES = ['preserve', 'strip', 'whitelist', 'blacklist'];
+const GPS_MODES = ['keep', 'remove', 'coarsen'];
+
+// Used when a request doesn't specify a policy: capture time and location only
+const DEFAULT_POLICY = {
+  mode: 'whitelist',
+  tags: ['DateTimeOriginal', 'DateTime', 'CreateDate', 'GPS'],
+  gps: 'keep',
+  gpsPrecision: 2
+};
+
+// Tag groups that can be named in a whitelist/blacklist, with the exiftool arguments that
+// select them. `--gps*` is the only exclusion that also catches GPS tags mirrored into XMP.
+// ICC profiles are not copied: the encoder embeds the output's own (see colorProfile).
+const TAG_GROUPS = {
+  exif: { include: ['-EXIF:all'], exclude: ['--EXIF:all'] },
+  gps: { include: ['-GPS:all'], exclude: ['--gps*'] },
+  iptc: { include: ['-IPTC:all'], exclude: ['--IPTC:all'] },
+  xmp: { include: ['-XMP:all'], exclude: ['--XMP:all'] },
+  makernotes: { include: ['-MakerNotes:all'], exclude: ['--MakerNotes:all'] }
+};
+
+// Tag names as accepted by exiftool, optionally group-qualified ("Model", "EXIF:Model", "XMP-dc:all").
+// Anything else could be read as an exiftool option.
+const TAG_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*(:[A-Za-z][A-Za-z0-9_-]*)?$/;
+
+// Containers that can't hold IPTC get the common IPTC fields as their XMP equivalents
+const IPTC_CONTAINERS = ['jpeg'];
+const IPTC_TO_XMP = {
+  'By-line': 'XMP-dc:Creator',
+  'Caption-Abstract': 'XMP-dc:Description',
+  CopyrightNotice: 'XMP-dc:Rights',
+  Keywords: 'XMP-dc:Subject',
+  ObjectName: 'XMP-dc:Title',
+  Headline: 'XMP-photoshop:Headline',
+  Credit: 'XMP-photoshop:Credit',
+  Source: 'XMP-photoshop:Source',
+  City: 'XMP-photoshop:City',
+  'Country-PrimaryLocationName': 'XMP-photoshop:Country'
+};
+
+// Groups describing the file itself rather than metadata carried over from the source
+const FILE_GROUPS = ['SourceFile', 'ExifTool', 'System', 'File', 'Composite', 'QuickTime', 'Meta', 'RIFF', 'JFIF', 'JXL', 'PNG'];
+
+// Applies a request's metadata policy when copying metadata from the original to each output
+class MetadataService {
+  constructor() {
+    this.modes = METADATA_MODES;
+    this.gpsModes = GPS_MODES;
+  }
+
+  // Validate a policy from a request: a mode name ("strip") or a JSON object
+  // { mode, tags, gps, gpsPrecision }. Returns the default policy when none is given.
+  resolvePolicy(value) {
+    if (value === undefined || value === null || value === '') {
+      return { ...DEFAULT_POLICY };
+    }
+
+    let policy = value;
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      if (trimmed.startsWith('{')) {
+        try {
+          policy = JSON.parse(trimmed);
+        } catch (error) {
+          throw new Error(`Invalid metadata JSON: ${error.message}`);
+        }
+      } else {
+        policy = { mode: trimmed };
+      }
+    }
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+      throw new Error('metadata must be a mode name or an object');
+    }
+
+    const mode = policy.mode || 'preserve';
+    if (!METADATA_MODES.includes(mode)) {
+      throw new Error(`Invalid metadata mode '${mode}'. Expected one of: ${METADATA_MODES.join(', ')}`);
+    }
+
+    let tags = policy.tags || [];
+    if (typeof tags === 'string') {
+      tags = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    if (!Array.isArray(tags)) {
+      throw new Error('metadata.tags must be an array of tag names');
+    }
+    for (const tag of tags) {
+      if (typeof tag !== 'string' || !TAG_PATTERN.test(tag)) {
+        throw new Error(`Invalid metadata tag '${tag}'`);
+      }
+      if (tag.split(':').some(part => /^icc/i.test(part))) {
+        throw new Error(`Invalid metadata tag '${tag}': the ICC profile follows colorProfile`);
+      }
+    }
+    if ((mode === 'whitelist' || mode === 'blacklist') && !tags.length) {
+      throw new Error(`metadata mode '${mode}' requires a list of tags`);
+    }
+
+    const gps = mode === 'strip' ? 'remove' : (policy.gps || 'keep');
+    if (!GPS_MODES.includes(gps)) {
+      throw new Error(`Invalid metadata gps '${gps}'. Expected one of: ${GPS_MODES.join(', ')}`);
+    }
+
+    const gpsPrecision = policy.gpsPrecision === undefined ? DEFAULT_POLICY.gpsPrecision : Number(policy.gpsPrecision);
+    if (!Number.isInteger(gpsPrecision) || gpsPrecision < 0 || gpsPrecision > 5) {
+      throw new Error('metadata.gpsPrecision must be an integer between 0 and 5 (decimal places)');
+    }
+
+    return {
+      mode,
+      tags: mode === 'whitelist' || mode === 'blacklist' ? tags : [],
+      gps,
+      gpsPrecision
+    };
+  }
+
+  // Whether the policy selects a tag/group name (matched case-insensitively, with or without group)
+  selects(policy, name) {
+    const wanted = name.toLowerCase();
+    return policy.tags.some(tag => {
+      const lower = tag.toLowerCase();
+      return lower === wanted || lower.split(':').pop() === wanted.split(':').pop();
+    });
+  }
+
+  allowsGps(policy) {
+    switch (policy.mode) {
+      case 'preserve':
+        return true;
+      case 'whitelist':
+        return policy.tags.some(tag => /^(exif|gps)(:all)?$|^(gps:)?gps/i.test(tag));
+      case 'blacklist':
+        return !policy.tags.some(tag => /^(exif|gps)(:all)?$/i.test(tag));
+      default:
+        return false;
+    }
+  }
+
+  allowsIptcTag(policy, tag) {
+    switch (policy.mode) {
+      case 'preserve':
+        return true;
+      case 'whitelist':
+        return this.selects(policy, 'IPTC') || this.selects(policy, `IPTC:${tag}`);
+      case 'blacklist':
+        return !this.selects(policy, 'IPTC') && !this.selects(policy, `IPTC:${tag}`);
+      default:
+        return false;
+    }
+  }
+
+  // exiftool arguments copying the selected tags from `sourceFile` into an output of `format`
+  copyArgs(policy, sourceFile, format) {
+    const args = ['-TagsFromFile', sourceFile];
+    const group = tag => TAG_GROUPS[tag.toLowerCase()];
+
+    if (policy.mode === 'whitelist') {
+      for (const tag of policy.tags) {
+        args.push(...(group(tag)?.include || [`-${tag}`]));
+      }
+    } else {
+      args.push('-all:all');
+      if (policy.mode === 'blacklist') {
+        for (const tag of policy.tags) {
+          args.push(...(group(tag)?.exclude || [`--${tag}`]));
+        }
+      }
+    }
+
+    // Skipped when XMP itself is blacklisted
+    const xmpExcluded = policy.mode === 'blacklist' && this.selects(policy, 'XMP');
+    if (!IPTC_CONTAINERS.includes(format) && !xmpExcluded) {
+      for (const [iptcTag, xmpTag] of Object.entries(IPTC_TO_XMP)) {
+        if (this.allowsIptcTag(policy, iptcTag)) {
+          args.push(`-${xmpTag}<IPTC:${iptcTag}`);
+        }
+      }
+    }
+
+    // Coarsened coordinates are written separately after the copy
+    if (policy.gps !== 'keep') {
+      args.push('--gps*');
+    }
+
+    return args;
+  }
+
+  // Round the source coordinates to the policy's precision
+  coarseGps(policy, sourceTags) {
+    const { GPSLatitude: latitude, GPSLongitude: longitude } = sourceTags;
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      return {};
+    }
+
+    const factor = 10 ** policy.gpsPrecision;
+    const round = value => Math.round(Math.abs(value) * factor) / factor;
+    return {
+      GPSLatitude: round(latitude),
+      GPSLatitudeRef: latitude < 0 ? 'S' : 'N',
+      GPSLongitude: round(longitude),
+      GPSLongitudeRef: longitude < 0 ? 'W' : 'E'
+    };
+  }
+
+  // Copy metadata from the original into an encoded output according to the policy.
+  // `sourceTags` are the original's tags from exiftool.read. Returns the metadata tags the
+  // output now carries, as "Group:Tag" (ICC profiles are listed once as "ICC_Profile").
+  async apply(policy, { sourceFile, sourceTags, targetFile, format, width, height }) {
+    if (policy.mode === 'strip') {
+      return await this.listTags(targetFile);
+    }
+
+    await exiftool.write(targetFile, {}, [...this.copyArgs(policy, sourceFile, format), '-overwrite_original']);
+
+    // Fix-ups: coarsened GPS, and orientation and EXIF dimensions that would still describe
+    // the original. Pixels are already rotated upright, so orientation is reset to normal.
+    let tags = await this.listTags(targetFile);
+    const fixups = policy.gps === 'coarsen' && this.allowsGps(policy) ? this.coarseGps(policy, sourceTags) : {};
+    if (tags.some(tag => tag.endsWith(':Orientation'))) {
+      fixups['Orientation#'] = 1;
+    }
+    if (tags.includes('ExifIFD:ExifImageWidth')) {
+      fixups.ExifImageWidth = width;
+    }
+    if (tags.includes('ExifIFD:ExifImageHeight')) {
+      fixups.ExifImageHeight = height;
+    }
+    if (Object.keys(fixups).length) {
+      await exiftool.write(targetFile, fixups, ['-overwrite_original']);
+      tags = await this.listTags(targetFile);
+    }
+
+    return tags;
+  }
+
+  // Remove all metadata from a file except its ICC profile
+  async strip(file) {
+    await exiftool.write(file, {}, ['-all=', '-tagsFromFile', '@', '-ICC_Profile', '-overwrite_original']);
+  }
+
+  async listTags(file) {
+    const raw = await exiftool.readRaw(file, ['-G1']);
+    const tags = new Set();
+    for (const key of Object.keys(raw)) {
+      const [group] = key.split(':');
+      if (!key.includes(':') || FILE_GROUPS.includes(group)) {
+        continue;
+      }
+      tags.add(group === 'ICC_Profile' || group.startsWith('ICC-') ? 'ICC_Profile' : key);
+    }
+    return [...tags];
+  }
+}
+
+export default new MetadataService();
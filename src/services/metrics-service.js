@@ -0,0 +1,145 @@
+import client from 'prom-client';
+import redisService from './redis-service.js';
+import renditionService from './rendition-service.js';
+import { onTimeout } from '../utils/timeout.js';
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const WAIT_BUCKETS = [0.1, 0.5, 1, 5, 15, 30, 60, 300, 900, 3600];
+// Output size as a fraction of the source size
+const RATIO_BUCKETS = [0.01, 0.02, 0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1, 1.5];
+
+// Prometheus metrics of this process, served by GET /metrics on the API and on the
+// worker health port. Counters are per process; Prometheus sums them across pods.
+class MetricsService {
+  constructor() {
+    this.register = new client.Registry();
+    this.contentType = this.register.contentType;
+    // Process, heap, GC and event-loop lag (nodejs_eventloop_lag_*) metrics
+    client.collectDefaultMetrics({ register: this.register });
+
+    // Rendition names from requests are free-form; only preset names become label values
+    this.knownRenditions = new Set(
+      Object.values(renditionService.presets).flatMap(renditions => renditions.map(({ name }) => name))
+    );
+
+    this.queueDepth = new client.Gauge({
+      name: 'jpeg2avif_queue_depth',
+      help: 'Jobs in each Redis queue: queued (waiting), processing, delayed (waiting to retry), dead_letter',
+      labelNames: ['queue'],
+      registers: [this.register]
+    });
+    this.jobsFinished = new client.Counter({
+      name: 'jpeg2avif_jobs_finished_total',
+      help: 'Jobs that reached a final status',
+      labelNames: ['status'],
+      registers: [this.register]
+    });
+    this.queueWait = new client.Histogram({
+      name: 'jpeg2avif_queue_wait_seconds',
+      help: 'Time jobs waited in the queue before a worker took them',
+      labelNames: ['priority'],
+      buckets: WAIT_BUCKETS,
+      registers: [this.register]
+    });
+    this.conversionDuration = new client.Histogram({
+      name: 'jpeg2avif_conversion_duration_seconds',
+      help: 'Time to resize and encode one rendition in all its formats',
+      labelNames: ['rendition'],
+      buckets: DURATION_BUCKETS,
+      registers: [this.register]
+    });
+    this.inputBytes = new client.Counter({
+      name: 'jpeg2avif_input_bytes_total',
+      help: 'Bytes of source images converted, by source format',
+      labelNames: ['format'],
+      registers: [this.register]
+    });
+    this.outputBytes = new client.Counter({
+      name: 'jpeg2avif_output_bytes_total',
+      help: 'Bytes of converted outputs, by output format',
+      labelNames: ['format'],
+      registers: [this.register]
+    });
+    this.compressionRatio = new client.Histogram({
+      name: 'jpeg2avif_compression_ratio',
+      help: 'Output size divided by source size',
+      labelNames: ['rendition', 'format'],
+      buckets: RATIO_BUCKETS,
+      registers: [this.register]
+    });
+    this.cacheRequests = new client.Counter({
+      name: 'jpeg2avif_cache_requests_total',
+      help: 'Cacheable jobs: completed from a cached result (hit), waiting for an identical job (attached), or converted (miss)',
+      labelNames: ['result'],
+      registers: [this.register]
+    });
+    this.timeouts = new client.Counter({
+      name: 'jpeg2avif_timeouts_total',
+      help: 'Operations abandoned after their time limit',
+      labelNames: ['operation'],
+      registers: [this.register]
+    });
+    new client.Gauge({
+      name: 'jpeg2avif_redis_connected',
+      help: '1 while the Redis connection is up',
+      registers: [this.register],
+      collect() {
+        this.set(redisService.isConnected() ? 1 : 0);
+      }
+    });
+
+    // Timeouts on this thread; conversion threads report theirs through the pool
+    onTimeout(operation => this.recordTimeout(operation));
+  }
+
+  renditionLabel(name) {
+    return this.knownRenditions.has(name) ? name : 'custom';
+  }
+
+  // Queue lengths are shared by every process; they are read when the metrics are scraped
+  setQueueDepths(depths) {
+    for (const [queue, depth] of Object.entries(depths)) {
+      this.queueDepth.set({ queue }, depth);
+    }
+  }
+
+  recordJobFinished(status) {
+    this.jobsFinished.inc({ status });
+  }
+
+  recordQueueWait(priority, waitTime) {
+    this.queueWait.observe({ priority }, waitTime / 1000);
+  }
+
+  recordCacheRequest(result) {
+    this.cacheRequests.inc({ result });
+  }
+
+  recordTimeout(operation) {
+    this.timeouts.inc({ operation });
+  }
+
+  // `renditions` as returned by the conversion pool
+  recordConversionTimes(renditions) {
+    for (const { name, durationMs } of renditions) {
+      this.conversionDuration.observe({ rendition: this.renditionLabel(name) }, durationMs / 1000);
+    }
+  }
+
+  // A finished conversion: the source and the final size of every output
+  recordConversion({ sourceFormat, inputSize, outputs }) {
+    this.inputBytes.inc({ format: sourceFormat }, inputSize);
+    for (const { rendition, format, size } of outputs) {
+      this.outputBytes.inc({ format }, size);
+      if (inputSize > 0) {
+        this.compressionRatio.observe({ rendition: this.renditionLabel(rendition), format }, size / inputSize);
+      }
+    }
+  }
+
+  async render() {
+    return await this.register.metrics();
+  }
+}
+
+export default new MetricsService();
@@ -0,0 +1,312 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Jimp from 'jimp';
+import sharp from 'sharp';
+import { codedError } from '../utils/errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MAX_OPERATIONS = 20;
+const MAX_DIMENSION = 100000;
+const FLIP_DIRECTIONS = ['horizontal', 'vertical', 'both'];
+// Watermark positions as [horizontal, vertical] alignment
+const POSITIONS = {
+  'top-left': ['left', 'top'],
+  top: ['center', 'top'],
+  'top-right': ['right', 'top'],
+  left: ['left', 'middle'],
+  center: ['center', 'middle'],
+  right: ['right', 'middle'],
+  'bottom-left': ['left', 'bottom'],
+  bottom: ['center', 'bottom'],
+  'bottom-right': ['right', 'bottom']
+};
+// Sizes of Jimp's bundled fonts that exist in both colours
+const FONT_SIZES = [8, 16, 32, 64, 128];
+const FONT_COLORS = ['white', 'black'];
+
+// Operations and the fields each accepts. `source` operations change the picture itself and
+// run on the decoded image before the renditions are cut from it; the others finish each
+// rendition after it has been resized, so their sizes are in rendition pixels.
+const OPERATIONS = {
+  crop: { stage: 'source', fields: ['x', 'y', 'width', 'height'] },
+  rotate: { stage: 'source', fields: ['angle'] },
+  flip: { stage: 'source', fields: ['direction'] },
+  watermark: { stage: 'rendition', fields: ['text', 'image', 'position', 'opacity', 'margin', 'size', 'color', 'scale'] },
+  blur: { stage: 'rendition', fields: ['sigma'] },
+  sharpen: { stage: 'rendition', fields: ['sigma'] },
+  grayscale: { stage: 'rendition', fields: [] }
+};
+
+// Image operations applied during conversion: validated when a job is created and run by
+// the conversion threads on the decoded image and on each rendition.
+class OperationService {
+  constructor() {
+    // Image watermarks are PNG files in this directory, referred to by file name without .png
+    this.watermarkDir = process.env.WATERMARK_DIR || path.join(__dirname, '../../watermarks');
+    this.fonts = new Map();
+    this.watermarks = new Map();
+  }
+
+  getOperationNames() {
+    return Object.keys(OPERATIONS);
+  }
+
+  // Validate the `operations` request field (an array or a JSON array string) into a list of
+  // normalized steps. Throws with a client-facing message naming the step at fault.
+  resolveOperations(value) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+
+    let steps = value;
+    if (typeof value === 'string') {
+      try {
+        steps = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`Invalid operations JSON: ${error.message}`);
+      }
+    }
+    if (!Array.isArray(steps)) {
+      throw new Error('operations must be an array');
+    }
+    if (steps.length > MAX_OPERATIONS) {
+      throw new Error(`Too many operations: ${steps.length} (maximum ${MAX_OPERATIONS})`);
+    }
+
+    return steps.map((step, index) => this.normalizeOperation(step, index));
+  }
+
+  normalizeOperation(step, index) {
+    const context = `Operation at index ${index}`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      throw new Error(`${context} must be an object`);
+    }
+    const definition = OPERATIONS[step.op];
+    if (!definition) {
+      throw new Error(step.op === undefined
+        ? `${context} needs an 'op'. Supported operations: ${this.getOperationNames().join(', ')}`
+        : `${context}: unknown operation '${step.op}'. Supported operations: ${this.getOperationNames().join(', ')}`);
+    }
+    const unknown = Object.keys(step).find(field => field !== 'op' && !definition.fields.includes(field));
+    if (unknown) {
+      throw new Error(`${context} (${step.op}): unknown field '${unknown}'`);
+    }
+
+    const label = `${context} (${step.op})`;
+    switch (step.op) {
+      case 'crop':
+        return {
+          op: 'crop',
+          x: this.parseNumber(step, 'x', label, { min: 0, max: MAX_DIMENSION, integer: true }),
+          y: this.parseNumber(step, 'y', label, { min: 0, max: MAX_DIMENSION, integer: true }),
+          width: this.parseNumber(step, 'width', label, { min: 1, max: MAX_DIMENSION, integer: true }),
+          height: this.parseNumber(step, 'height', label, { min: 1, max: MAX_DIMENSION, integer: true })
+        };
+      case 'rotate':
+        // Clockwise degrees
+        return { op: 'rotate', angle: this.parseNumber(step, 'angle', label, { min: -360, max: 360 }) };
+      case 'flip':
+        return { op: 'flip', direction: this.parseChoice(step, 'direction', label, FLIP_DIRECTIONS, 'horizontal') };
+      case 'blur':
+        return { op: 'blur', sigma: this.parseNumber(step, 'sigma', label, { min: 0.3, max: 100, defaultValue: 10 }) };
+      case 'sharpen':
+        return { op: 'sharpen', sigma: this.parseNumber(step, 'sigma', label, { min: 0.3, max: 10, defaultValue: 1 }) };
+      case 'grayscale':
+        return { op: 'grayscale' };
+      case 'watermark':
+        return this.normalizeWatermark(step, label);
+    }
+  }
+
+  normalizeWatermark(step, label) {
+    if ((step.text === undefined) === (step.image === undefined)) {
+      throw new Error(`${label}: give either text or image`);
+    }
+
+    const watermark = {
+      op: 'watermark',
+      position: this.parseChoice(step, 'position', label, Object.keys(POSITIONS), 'bottom-right'),
+      opacity: this.parseNumber(step, 'opacity', label, { min: 0, max: 1, defaultValue: 0.5 }),
+      margin: this.parseNumber(step, 'margin', label, { min: 0, max: 1000, integer: true, defaultValue: 16 })
+    };
+
+    if (step.text !== undefined) {
+      if (step.scale !== undefined) {
+        throw new Error(`${label}: scale only applies to image watermarks`);
+      }
+      if (typeof step.text !== 'string' || step.text.length === 0 || step.text.length > 200) {
+        throw new Error(`${label}: text must be a string of 1-200 characters`);
+      }
+      const size = step.size === undefined || step.size === 'auto'
+        ? 'auto'
+        : this.parseChoice({ size: Number(step.size) }, 'size', label, FONT_SIZES);
+      return {
+        ...watermark,
+        text: step.text,
+        size,
+        color: this.parseChoice(step, 'color', label, FONT_COLORS, 'white')
+      };
+    }
+
+    if (step.size !== undefined || step.color !== undefined) {
+      throw new Error(`${label}: size and color only apply to text watermarks`);
+    }
+    if (typeof step.image !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(step.image)) {
+      throw new Error(`${label}: image must be the name of a watermark image (letters, digits, '-', '_')`);
+    }
+    if (!fs.existsSync(this.watermarkFile(step.image))) {
+      throw new Error(`${label}: unknown watermark image '${step.image}'`);
+    }
+    return {
+      ...watermark,
+      image: step.image,
+      scale: this.parseNumber(step, 'scale', label, { min: 0.01, max: 1, defaultValue: 0.2 })
+    };
+  }
+
+  parseNumber(step, field, label, { min, max, integer = false, defaultValue }) {
+    if (step[field] === undefined || step[field] === null || step[field] === '') {
+      if (defaultValue === undefined) {
+        throw new Error(`${label}: ${field} is required`);
+      }
+      return defaultValue;
+    }
+    const number = Number(step[field]);
+    if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+      throw new Error(`${label}: ${field} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+    }
+    return number;
+  }
+
+  parseChoice(step, field, label, values, defaultValue) {
+    if (step[field] === undefined && defaultValue !== undefined) {
+      return defaultValue;
+    }
+    if (!values.includes(step[field])) {
+      throw new Error(`${label}: ${field} must be one of ${values.join(', ')}`);
+    }
+    return step[field];
+  }
+
+  watermarkFile(name) {
+    return path.join(this.watermarkDir, `${name}.png`);
+  }
+
+  // Run the `source` operations on a decoded Jimp image, in place, in their listed order
+  async applyToSource(image, operations = []) {
+    for (const operation of operations.filter(({ op }) => OPERATIONS[op].stage === 'source')) {
+      if (operation.op === 'crop') {
+        const { x, y, width, height } = operation;
+        if (x + width > image.getWidth() || y + height > image.getHeight()) {
+          throw codedError(
+            'INVALID_OPERATION',
+            `Crop ${width}x${height} at ${x},${y} is outside the ${image.getWidth()}x${image.getHeight()} image`
+          );
+        }
+        image.crop(x, y, width, height);
+      } else if (operation.op === 'rotate') {
+        // Jimp turns counter-clockwise; corners uncovered by other angles stay transparent
+        image.background(0x00000000);
+        image.rotate(-operation.angle);
+      } else if (operation.op === 'flip') {
+        image.flip(operation.direction !== 'vertical', operation.direction !== 'horizontal');
+      }
+    }
+    return image;
+  }
+
+  // Run the finishing operations on a resized rendition, in place, in their listed order
+  async applyToRendition(image, operations = []) {
+    for (const operation of operations.filter(({ op }) => OPERATIONS[op].stage === 'rendition')) {
+      if (operation.op === 'grayscale') {
+        image.greyscale();
+      } else if (operation.op === 'blur') {
+        await this.withSharp(image, pipeline => pipeline.blur(operation.sigma));
+      } else if (operation.op === 'sharpen') {
+        await this.withSharp(image, pipeline => pipeline.sharpen({ sigma: operation.sigma }));
+      } else if (operation.op === 'watermark') {
+        await this.applyWatermark(image, operation);
+      }
+    }
+    return image;
+  }
+
+  // Whether any operation runs on the renditions
+  hasRenditionOperations(operations = []) {
+    return operations.some(({ op }) => OPERATIONS[op].stage === 'rendition');
+  }
+
+  // Filter the pixels through sharp, whose gaussian blur and sharpening are far faster than
+  // Jimp's
+  async withSharp(image, transform) {
+    const { data, width, height } = image.bitmap;
+    const output = await transform(sharp(data, { raw: { width, height, channels: 4 } }))
+      .ensureAlpha()
+      .raw()
+      .toBuffer();
+    image.bitmap.data = output;
+  }
+
+  async applyWatermark(image, watermark) {
+    const overlay = watermark.text !== undefined
+      ? await this.renderText(image, watermark)
+      : await this.renderImage(image, watermark);
+
+    const [horizontal, vertical] = POSITIONS[watermark.position];
+    const { margin } = watermark;
+    const x = horizontal === 'left' ? margin
+      : horizontal === 'right' ? image.getWidth() - overlay.getWidth() - margin
+        : Math.round((image.getWidth() - overlay.getWidth()) / 2);
+    const y = vertical === 'top' ? margin
+      : vertical === 'bottom' ? image.getHeight() - overlay.getHeight() - margin
+        : Math.round((image.getHeight() - overlay.getHeight()) / 2);
+
+    image.composite(overlay, x, y, { mode: Jimp.BLEND_SOURCE_OVER, opacitySource: watermark.opacity });
+  }
+
+  // The text on a transparent canvas. `auto` picks the largest font that keeps the text within
+  // half the width and a sixth of the height of the image.
+  async renderText(image, { text, size, color }) {
+    let font;
+    if (size === 'auto') {
+      for (const candidate of [...FONT_SIZES].reverse()) {
+        font = await this.loadFont(candidate, color);
+        if (candidate <= image.getHeight() / 6 && Jimp.measureText(font, text) <= image.getWidth() / 2) {
+          break;
+        }
+      }
+    } else {
+      font = await this.loadFont(size, color);
+    }
+
+    const width = Math.max(1, Jimp.measureText(font, text));
+    const height = Math.max(1, Jimp.measureTextHeight(font, text, width + 1));
+    return new Jimp(width, height, 0x00000000).print(font, 0, 0, text);
+  }
+
+  // The watermark image scaled to `scale` of the image's width
+  async renderImage(image, { image: name, scale }) {
+    if (!this.watermarks.has(name)) {
+      const loading = Jimp.read(this.watermarkFile(name)).catch(error => {
+        this.watermarks.delete(name);
+        throw codedError('INVALID_OPERATION', `Could not load watermark image '${name}': ${error.message}`);
+      });
+      this.watermarks.set(name, loading);
+    }
+    const watermark = (await this.watermarks.get(name)).clone();
+    return watermark.resize(Math.max(1, Math.round(image.getWidth() * scale)), Jimp.AUTO);
+  }
+
+  async loadFont(size, color) {
+    const key = `${size}_${color}`;
+    if (!this.fonts.has(key)) {
+      this.fonts.set(key, Jimp.loadFont(Jimp[`FONT_SANS_${size}_${color.toUpperCase()}`]));
+    }
+    return await this.fonts.get(key);
+  }
+}
+
+export default new OperationService();
@@ -0,0 +1,145 @@
+import redisService from './redis-service.js';
+
+const PRIORITIES = ['interactive', 'normal', 'bulk'];
+const DEFAULT_WEIGHTS = { interactive: 8, normal: 4, bulk: 1 };
+// Lanes looked at per take before giving up on finding a job
+const LANE_SCAN = 10;
+// Recent wait times kept per priority for the averages
+const WAIT_SAMPLES = 100;
+// Wake-up signals kept for idle workers; more jobs than this pushed at once are still
+// found by the workers woken first, which take jobs until the queue is empty. Signals
+// left over once the queue is empty are dropped (see dropWakeUps).
+const MAX_WAKE_UPS = 1000;
+
+// Weighted fair scheduling of queued jobs. Every client has a list (a lane) per priority,
+// and lanes are served in order of their virtual time, which advances by 1/weight of the
+// lane's priority for every job taken from it. Each lane with jobs waiting gets a share of
+// the workers proportional to its weight, so a client's backlog only slows down that
+// client: a 2,000-image bulk upload and another client's interactive upload are served
+// side by side, 1 to 8.
+class QueueService {
+  constructor() {
+    // Lanes with jobs waiting, scored by their virtual time
+    this.lanesKey = 'jpeg2avif:queue:lanes';
+    this.lanePrefix = 'jpeg2avif:queue:lane:';
+    this.waitPrefix = 'jpeg2avif:queue:wait:';
+    // One entry per job pushed; idle workers block on it instead of polling the lanes
+    this.wakeKey = 'jpeg2avif:queue:wake';
+    this.priorities = PRIORITIES;
+    this.defaultPriority = 'normal';
+    this.weights = Object.fromEntries(PRIORITIES.map(priority => [
+      priority,
+      Number(process.env[`QUEUE_WEIGHT_${priority.toUpperCase()}`] || DEFAULT_WEIGHTS[priority])
+    ]));
+  }
+
+  // Validate a requested priority, defaulting to normal
+  resolvePriority(value) {
+    if (value === undefined || value === null || value === '') {
+      return this.defaultPriority;
+    }
+    const priority = String(value).trim().toLowerCase();
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`Invalid priority '${value}'. Expected one of: ${PRIORITIES.join(', ')}`);
+    }
+    return priority;
+  }
+
+  lane(job) {
+    return { priority: job.priority || this.defaultPriority, clientId: job.clientId || null };
+  }
+
+  laneKey({ priority, clientId }) {
+    return `${this.lanePrefix}${priority}:${clientId || ''}`;
+  }
+
+  // Queue a job at the back of its lane, or at the front (`next`) for a job handed back
+  async push(job, { next = false } = {}) {
+    const lane = this.lane(job);
+    if (next) {
+      await redisService.rpush(this.laneKey(lane), { jobId: job.id });
+    } else {
+      await redisService.lpush(this.laneKey(lane), { jobId: job.id });
+    }
+
+    // A lane that wasn't waiting starts level with the lane served next, so its idle time
+    // neither puts it ahead of the others nor behind them
+    const [head] = await redisService.zrangewithscores(this.lanesKey, 0, 0);
+    await redisService.zadd(this.lanesKey, head?.score ?? 0, lane, { NX: true });
+
+    // Wake an idle worker
+    await redisService.lpush(this.wakeKey, 1);
+    await redisService.ltrim(this.wakeKey, 0, MAX_WAKE_UPS - 1);
+  }
+
+  // Drop the wake-up signals of jobs other workers have taken, before waiting on an empty
+  // queue. Resolves with true when a job may have been pushed meanwhile: a push lists its
+  // lane before signalling, so a signal dropped here always leaves its lane listed.
+  async dropWakeUps() {
+    await redisService.del(this.wakeKey);
+    return await redisService.zcard(this.lanesKey) > 0;
+  }
+
+  // Wait up to `timeout` seconds for a job to be pushed. Resolves with true when one was,
+  // though another worker may have taken it since.
+  async waitForJob(timeout) {
+    return await redisService.brpop(this.wakeKey, timeout) !== null;
+  }
+
+  async remove(job) {
+    return await redisService.lrem(this.laneKey(this.lane(job)), { jobId: job.id });
+  }
+
+  // Move the next job by fair share onto the `destination` list. Resolves with its entry
+  // ({ jobId }), or null when no job is waiting.
+  async take(destination) {
+    const lanes = await redisService.zrangewithscores(this.lanesKey, 0, LANE_SCAN - 1);
+
+    for (const { value: lane, score } of lanes) {
+      const entry = await redisService.lmove(this.laneKey(lane), destination);
+      if (entry) {
+        await redisService.zadd(this.lanesKey, 1 / this.weights[lane.priority], lane, { XX: true, INCR: true });
+        return entry;
+      }
+
+      // Empty lane: drop it, unless a job was pushed since (its push may have seen the lane
+      // still listed)
+      await redisService.zrem(this.lanesKey, lane);
+      if (await redisService.llen(this.laneKey(lane))) {
+        await redisService.zadd(this.lanesKey, score, lane, { NX: true });
+      }
+    }
+    return null;
+  }
+
+  // Record how long a job of `priority` waited between being queued and being taken
+  async recordWait(priority, waitTime) {
+    await redisService.lpush(`${this.waitPrefix}${priority}`, waitTime);
+    await redisService.ltrim(`${this.waitPrefix}${priority}`, 0, WAIT_SAMPLES - 1);
+  }
+
+  // Per priority: { queued, lanes (clients with jobs queued), averageWaitTime and
+  // maxWaitTime (ms, over the last jobs taken; null before any) }
+  async getStats() {
+    const stats = Object.fromEntries(PRIORITIES.map(priority => [priority, { queued: 0, lanes: 0 }]));
+
+    for (const { value: lane } of await redisService.zrangewithscores(this.lanesKey)) {
+      const queued = await redisService.llen(this.laneKey(lane));
+      if (stats[lane.priority] && queued) {
+        stats[lane.priority].queued += queued;
+        stats[lane.priority].lanes++;
+      }
+    }
+
+    for (const priority of PRIORITIES) {
+      const waits = await redisService.lrange(`${this.waitPrefix}${priority}`);
+      stats[priority].averageWaitTime = waits.length
+        ? Math.round(waits.reduce((total, wait) => total + wait, 0) / waits.length)
+        : null;
+      stats[priority].maxWaitTime = waits.length ? Math.max(...waits) : null;
+    }
+    return stats;
+  }
+}
+
+export default new QueueService();
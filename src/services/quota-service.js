@@ -0,0 +1,131 @@
+import redisService from './redis-service.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Per-key request rate limits (fixed windows) and per-client daily job/upload quotas,
+// counted in Redis so every API replica enforces the same limits. A limit of 0 means
+// unlimited; keys can override the defaults (see api-key-service).
+class QuotaService {
+  constructor() {
+    this.ratePrefix = 'jpeg2avif:ratelimit:';
+    this.usagePrefix = 'jpeg2avif:usage:';
+    this.rateLimit = Number(process.env.RATE_LIMIT_REQUESTS ?? 120);
+    this.rateWindow = Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60);
+    this.dailyJobs = Number(process.env.QUOTA_DAILY_JOBS ?? 1000);
+    this.dailyBytes = Number(process.env.QUOTA_DAILY_MB ?? 5120) * 1024 * 1024;
+  }
+
+  limitsFor(apiKey) {
+    return {
+      rateLimit: apiKey.rateLimit ?? this.rateLimit,
+      dailyJobs: apiKey.dailyJobs ?? this.dailyJobs,
+      dailyBytes: apiKey.dailyBytes ?? this.dailyBytes
+    };
+  }
+
+  // Count a request against the key's rate limit. Resolves with { limit, remaining, reset
+  // (seconds), allowed }, or null when the key is unlimited.
+  async consumeRequest(apiKey) {
+    const { rateLimit } = this.limitsFor(apiKey);
+    if (!rateLimit) {
+      return null;
+    }
+
+    const now = Date.now();
+    const windowMs = this.rateWindow * 1000;
+    const window = Math.floor(now / windowMs);
+    const count = await redisService.incrby(`${this.ratePrefix}${apiKey.id}:${window}`, 1, this.rateWindow * 2);
+
+    return {
+      limit: rateLimit,
+      remaining: Math.max(rateLimit - count, 0),
+      reset: Math.ceil(((window + 1) * windowMs - now) / 1000),
+      allowed: count <= rateLimit
+    };
+  }
+
+  // Quotas are per UTC day
+  usageKeys(clientId) {
+    const day = new Date().toISOString().slice(0, 10);
+    return {
+      jobs: `${this.usagePrefix}${clientId}:${day}:jobs`,
+      bytes: `${this.usagePrefix}${clientId}:${day}:bytes`
+    };
+  }
+
+  secondsUntilReset() {
+    return DAY_SECONDS - Math.floor(Date.now() / 1000) % DAY_SECONDS;
+  }
+
+  // Today's usage of a client with the limits of `apiKey`: { jobs, bytes, limits, reset }
+  async getUsage(apiKey) {
+    const keys = this.usageKeys(apiKey.clientId);
+    const [jobs, bytes] = await redisService.mget([keys.jobs, keys.bytes]);
+    const { dailyJobs, dailyBytes } = this.limitsFor(apiKey);
+    return {
+      jobs: jobs || 0,
+      bytes: bytes || 0,
+      limits: { jobs: dailyJobs, bytes: dailyBytes },
+      reset: this.secondsUntilReset()
+    };
+  }
+
+  // How many more jobs and bytes the client may use today (Infinity when unlimited)
+  async remaining(apiKey) {
+    const usage = await this.getUsage(apiKey);
+    return {
+      jobs: usage.limits.jobs ? Math.max(usage.limits.jobs - usage.jobs, 0) : Infinity,
+      bytes: usage.limits.bytes ? Math.max(usage.limits.bytes - usage.bytes, 0) : Infinity
+    };
+  }
+
+  // Count jobs and uploaded bytes against the client's daily quota. Throws an error with
+  // `status` 429 and `retryAfter` (seconds) when that would go over it; nothing is counted then.
+  async reserve(apiKey, { jobs = 0, bytes = 0 }) {
+    const limits = this.limitsFor(apiKey);
+    const keys = this.usageKeys(apiKey.clientId);
+    const counted = [];
+
+    try {
+      for (const [type, amount, limit] of [['jobs', jobs, limits.dailyJobs], ['bytes', bytes, limits.dailyBytes]]) {
+        if (!amount) {
+          continue;
+        }
+        const total = await redisService.incrby(keys[type], amount, DAY_SECONDS * 2);
+        counted.push([keys[type], amount]);
+        if (limit && total > limit) {
+          throw this.quotaError(type, limit);
+        }
+      }
+    } catch (error) {
+      for (const [key, amount] of counted) {
+        await redisService.incrby(key, -amount);
+      }
+      throw error;
+    }
+  }
+
+  // Count usage without enforcing the quota, for work already accepted
+  async record(apiKey, { jobs = 0, bytes = 0 }) {
+    const keys = this.usageKeys(apiKey.clientId);
+    if (jobs) {
+      await redisService.incrby(keys.jobs, jobs, DAY_SECONDS * 2);
+    }
+    if (bytes) {
+      await redisService.incrby(keys.bytes, bytes, DAY_SECONDS * 2);
+    }
+  }
+
+  quotaError(type, limit) {
+    const size = limit >= 1024 * 1024 ? `${Math.round(limit / 1024 / 1024)}MB` : `${limit} bytes`;
+    const error = new Error(type === 'jobs'
+      ? `Daily job quota of ${limit} exceeded`
+      : `Daily upload quota of ${size} exceeded`);
+    error.status = 429;
+    error.quota = type;
+    error.retryAfter = this.secondsUntilReset();
+    return error;
+  }
+}
+
+export default new QuotaService();
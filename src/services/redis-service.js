@@ -1,9 +1,10 @@
-import { createClient } from 'redis';
+import { createClient, commandOptions } from 'redis';
 import winston from 'winston';
 
 class RedisService {
   constructor() {
     this.client = null;
+    this.subscriber = null;
     this.connected = false;
     this.logger = winston.createLogger({
       level: 'info',
@@ -77,6 +78,11 @@ class RedisService {
   }
 
   async disconnect() {
+    if (this.subscriber) {
+      const subscriber = await this.subscriber.catch(() => null);
+      this.subscriber = null;
+      await subscriber?.disconnect();
+    }
     if (this.client) {
       await this.client.disconnect();
       this.connected = false;
@@ -104,27 +110,189 @@ class RedisService {
     }
   }
 
+  // Set `key` only if it doesn't exist yet. Resolves with true when it was set.
+  async setnx(key, value, ttl = null) {
+    const client = this.getClient();
+    const options = ttl ? { NX: true, EX: ttl } : { NX: true };
+    return (await client.set(key, JSON.stringify(value), options)) === 'OK';
+  }
+
   async get(key) {
     const client = this.getClient();
     const value = await client.get(key);
     return value ? JSON.parse(value) : null;
   }
 
+  async mget(keys) {
+    if (!keys.length) {
+      return [];
+    }
+    const client = this.getClient();
+    const values = await client.mGet(keys);
+    return values.map(value => (value ? JSON.parse(value) : null));
+  }
+
   async del(key) {
     const client = this.getClient();
     return await client.del(key);
   }
 
+  async expire(key, ttl) {
+    const client = this.getClient();
+    return await client.expire(key, ttl);
+  }
+
+  // Increment a counter; `ttl` (seconds) is set when the increment creates the key
+  async incrby(key, increment, ttl = null) {
+    const client = this.getClient();
+    const value = await client.incrBy(key, increment);
+    if (ttl && value === increment) {
+      await client.expire(key, ttl);
+    }
+    return value;
+  }
+
   async lpush(key, value) {
     const client = this.getClient();
     return await client.lPush(key, JSON.stringify(value));
   }
 
+  async rpush(key, value) {
+    const client = this.getClient();
+    return await client.rPush(key, JSON.stringify(value));
+  }
+
+  async rpop(key) {
+    const client = this.getClient();
+    const value = await client.rPop(key);
+    return value ? JSON.parse(value) : null;
+  }
+
   async brpop(key, timeout = 0) {
     const client = this.getClient();
-    const result = await client.brPop(key, timeout);
+    // Blocking commands run on an isolated connection so they don't stall other commands
+    const result = await client.brPop(commandOptions({ isolated: true }), key, timeout);
     return result ? JSON.parse(result.element) : null;
   }
+
+  // Move the oldest element of `source` onto `destination` without waiting
+  async lmove(source, destination) {
+    const client = this.getClient();
+    const result = await client.lMove(source, destination, 'RIGHT', 'LEFT');
+    return result ? JSON.parse(result) : null;
+  }
+
+  async lrem(key, value, count = 0) {
+    const client = this.getClient();
+    return await client.lRem(key, count, JSON.stringify(value));
+  }
+
+  async lrange(key, start = 0, stop = -1) {
+    const client = this.getClient();
+    const values = await client.lRange(key, start, stop);
+    return values.map(value => JSON.parse(value));
+  }
+
+  async llen(key) {
+    const client = this.getClient();
+    return await client.lLen(key);
+  }
+
+  async ltrim(key, start, stop) {
+    const client = this.getClient();
+    return await client.lTrim(key, start, stop);
+  }
+
+  // `options` are ZADD's: { NX }, { XX }, and { INCR } to add `score` to the member's score
+  async zadd(key, score, value, options = {}) {
+    const client = this.getClient();
+    return await client.zAdd(key, { score, value: JSON.stringify(value) }, options);
+  }
+
+  // Members from rank `start` to `stop` (lowest score first), as { value, score }
+  async zrangewithscores(key, start = 0, stop = -1) {
+    const client = this.getClient();
+    const entries = await client.zRangeWithScores(key, start, stop);
+    return entries.map(({ value, score }) => ({ value: JSON.parse(value), score }));
+  }
+
+  async zrangebyscore(key, min, max) {
+    const client = this.getClient();
+    const values = await client.zRangeByScore(key, min, max);
+    return values.map(value => JSON.parse(value));
+  }
+
+  // Members from `max` down to `min` score, as { value, score }, skipping `offset` and
+  // returning at most `count`
+  async zrevrangebyscore(key, max, min, { offset = 0, count = 100 } = {}) {
+    const client = this.getClient();
+    const entries = await client.zRangeWithScores(key, max, min, {
+      BY: 'SCORE',
+      REV: true,
+      LIMIT: { offset, count }
+    });
+    return entries.map(({ value, score }) => ({ value: JSON.parse(value), score }));
+  }
+
+  async zremrangebyscore(key, min, max) {
+    const client = this.getClient();
+    return await client.zRemRangeByScore(key, min, max);
+  }
+
+  async zrem(key, value) {
+    const client = this.getClient();
+    return await client.zRem(key, JSON.stringify(value));
+  }
+
+  // Remove and return the `count` members with the lowest scores
+  async zpopmin(key, count = 1) {
+    const client = this.getClient();
+    const entries = await client.zPopMinCount(key, count);
+    return entries.map(({ value }) => JSON.parse(value));
+  }
+
+  async zcard(key) {
+    const client = this.getClient();
+    return await client.zCard(key);
+  }
+
+  async exists(key) {
+    const client = this.getClient();
+    return (await client.exists(key)) > 0;
+  }
+
+  async publish(channel, value) {
+    const client = this.getClient();
+    return await client.publish(channel, JSON.stringify(value));
+  }
+
+  // Call `listener` with every message published on `channel`. Resolves with a function
+  // that removes the listener again.
+  async subscribe(channel, listener) {
+    const subscriber = await this.getSubscriber();
+    const handler = (message) => listener(JSON.parse(message));
+    await subscriber.subscribe(channel, handler);
+    return async () => {
+      await subscriber.unsubscribe(channel, handler);
+    };
+  }
+
+  // A subscribed connection can't run other commands, so subscriptions share a second
+  // connection, opened on first use
+  getSubscriber() {
+    const client = this.getClient();
+    if (!this.subscriber) {
+      const subscriber = client.duplicate();
+      subscriber.on('error', (err) => {
+        this.logger.error('Redis subscriber error:', err.message);
+      });
+      this.subscriber = subscriber.connect().then(() => subscriber);
+      this.subscriber.catch(() => {
+        this.subscriber = null;
+      });
+    }
+    return this.subscriber;
+  }
 }
 
 export default new RedisService();
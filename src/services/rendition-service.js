@@ -0,0 +1,258 @@
+import encoderService from './encoder-service.js';
+
+// Rendition profiles: named output sizes/encoder settings requested per job
+
+const FIT_MODES = ['contain', 'cover', 'crop'];
+// Where `cover` and `crop` renditions are cut from: the centre, the request's focalPoint, or
+// a focal point found from the image content
+const GRAVITIES = ['center', 'focal', 'auto'];
+const CHROMA_SUBSAMPLING = ['4:2:0', '4:4:4'];
+const MAX_DIMENSION = 16384;
+const MAX_RENDITIONS = 10;
+const MAX_TARGET_BYTES = 50 * 1024 * 1024;
+// `original` stores the source file instead of an output that isn't smaller than it
+const FALLBACKS = ['none', 'original'];
+
+const DEFAULT_FORMATS = ['avif'];
+
+const RENDITION_DEFAULTS = {
+  fit: 'contain',
+  quality: 80,
+  effort: 4,
+  chromaSubsampling: '4:2:0'
+};
+
+// Server-side presets. `default` is the original thumbnail + full-size pair, with the
+// thumbnail cropped to a true square.
+const PRESETS = {
+  default: [
+    { name: 'thumbnail', width: 200, height: 200, fit: 'cover', quality: 80 },
+    { name: 'fullSize', quality: 85 }
+  ],
+  gallery: [
+    { name: 'thumbnail', width: 300, height: 300, fit: 'cover', quality: 80 },
+    { name: 'preview', width: 800, height: 800, fit: 'contain', quality: 80 },
+    { name: 'large', width: 1920, height: 1920, fit: 'contain', quality: 82 }
+  ],
+  mobile: [
+    { name: 'thumbnail', width: 150, height: 150, fit: 'cover', quality: 75 },
+    { name: 'small', width: 640, height: 640, fit: 'contain', quality: 75 }
+  ],
+  retina: [
+    { name: 'thumbnail', width: 400, height: 400, fit: 'cover', quality: 75 },
+    { name: 'preview', width: 1600, height: 1600, fit: 'contain', quality: 78 },
+    { name: 'large', width: 3840, height: 3840, fit: 'contain', quality: 80 }
+  ]
+};
+
+class RenditionService {
+  constructor() {
+    this.presets = PRESETS;
+  }
+
+  getPresetNames() {
+    return Object.keys(this.presets);
+  }
+
+  // Resolve the `preset`, `renditions` and `formats` request fields into a validated rendition list.
+  // Both preset and renditions may be given; explicit renditions are appended to the preset's list.
+  // `formats` is the default output format list for renditions that don't set their own, and
+  // `gravity` the default gravity (`focal` when the request has a `focalPoint`, else `center`).
+  resolveRenditions({ preset, renditions, formats, gravity, focalPoint } = {}) {
+    const requested = [];
+    const defaultFormats = formats ? this.parseFormats(formats, 'request') : DEFAULT_FORMATS;
+    const defaultGravity = gravity || (focalPoint ? 'focal' : 'center');
+    if (!GRAVITIES.includes(defaultGravity)) {
+      throw new Error(`gravity must be one of ${GRAVITIES.join(', ')}`);
+    }
+
+    if (preset) {
+      const presetRenditions = this.presets[preset];
+      if (!presetRenditions) {
+        throw new Error(`Unknown preset '${preset}'. Available presets: ${this.getPresetNames().join(', ')}`);
+      }
+      requested.push(...presetRenditions);
+    }
+
+    if (renditions !== undefined && renditions !== null && renditions !== '') {
+      let parsed = renditions;
+      if (typeof renditions === 'string') {
+        try {
+          parsed = JSON.parse(renditions);
+        } catch (error) {
+          throw new Error(`Invalid renditions JSON: ${error.message}`);
+        }
+      }
+      if (!Array.isArray(parsed)) {
+        throw new Error('renditions must be an array');
+      }
+      requested.push(...parsed);
+    }
+
+    if (requested.length === 0) {
+      requested.push(...this.presets.default);
+    }
+
+    if (requested.length > MAX_RENDITIONS) {
+      throw new Error(`Too many renditions: ${requested.length} (maximum ${MAX_RENDITIONS})`);
+    }
+
+    const names = new Set();
+    return requested.map((rendition, index) => {
+      const normalized = this.normalizeRendition(rendition, index, defaultFormats, defaultGravity);
+      if (names.has(normalized.name)) {
+        throw new Error(`Duplicate rendition name '${normalized.name}'`);
+      }
+      if (normalized.gravity === 'focal' && !focalPoint) {
+        throw new Error(`Rendition '${normalized.name}': gravity 'focal' requires a focalPoint`);
+      }
+      names.add(normalized.name);
+      return normalized;
+    });
+  }
+
+  // The request's `focalPoint`: { x, y } or "x,y", as fractions (0-1) of the image's width
+  // and height from its top left corner
+  resolveFocalPoint(value) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    let point = value;
+    if (typeof value === 'string') {
+      if (value.trim().startsWith('{')) {
+        try {
+          point = JSON.parse(value);
+        } catch (error) {
+          throw new Error(`Invalid focalPoint JSON: ${error.message}`);
+        }
+      } else {
+        const [x, y, ...rest] = value.split(',');
+        point = rest.length ? {} : { x, y };
+      }
+    }
+
+    const coordinate = (input) => typeof input === 'number' || /^\s*\d*\.?\d+\s*$/.test(input) ? Number(input) : NaN;
+    const x = coordinate(point?.x);
+    const y = coordinate(point?.y);
+    if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) {
+      throw new Error('focalPoint must be x,y fractions of the image width and height, between 0 and 1');
+    }
+    return { x, y };
+  }
+
+  normalizeRendition(rendition, index, defaultFormats = DEFAULT_FORMATS, defaultGravity = 'center') {
+    if (!rendition || typeof rendition !== 'object' || Array.isArray(rendition)) {
+      throw new Error(`Rendition at index ${index} must be an object`);
+    }
+
+    const { name } = rendition;
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(name)) {
+      throw new Error(`Rendition at index ${index} needs a name of 1-64 letters, digits, '-' or '_'`);
+    }
+
+    const options = { ...RENDITION_DEFAULTS, ...rendition };
+    const width = this.parseDimension(options.width, name, 'width');
+    const height = this.parseDimension(options.height, name, 'height');
+
+    if (!FIT_MODES.includes(options.fit)) {
+      throw new Error(`Rendition '${name}': fit must be one of ${FIT_MODES.join(', ')}`);
+    }
+    if ((options.fit === 'cover' || options.fit === 'crop') && (!width || !height)) {
+      throw new Error(`Rendition '${name}': fit '${options.fit}' requires both width and height`);
+    }
+    const gravity = options.gravity ?? defaultGravity;
+    if (!GRAVITIES.includes(gravity)) {
+      throw new Error(`Rendition '${name}': gravity must be one of ${GRAVITIES.join(', ')}`);
+    }
+
+    const quality = this.parseInteger(options.quality, name, 'quality', 1, 100);
+    const effort = this.parseInteger(options.effort, name, 'effort', 0, 9);
+
+    // Encoding modes: a fixed quality (default), or the quality searched to fit a byte budget
+    // or to reach an SSIM score
+    const targetBytes = options.targetBytes === undefined || options.targetBytes === null
+      ? undefined
+      : this.parseInteger(options.targetBytes, name, 'targetBytes', 100, MAX_TARGET_BYTES);
+    let targetSsim;
+    if (options.targetSsim !== undefined && options.targetSsim !== null) {
+      targetSsim = Number(options.targetSsim);
+      if (!(targetSsim >= 0.5 && targetSsim <= 0.999)) {
+        throw new Error(`Rendition '${name}': targetSsim must be a number between 0.5 and 0.999`);
+      }
+    }
+    if (targetBytes && targetSsim) {
+      throw new Error(`Rendition '${name}': give either targetBytes or targetSsim, not both`);
+    }
+
+    const fallback = options.fallback ?? 'none';
+    if (!FALLBACKS.includes(fallback)) {
+      throw new Error(`Rendition '${name}': fallback must be one of ${FALLBACKS.join(', ')}`);
+    }
+    if (fallback === 'original' && (width || height)) {
+      throw new Error(`Rendition '${name}': fallback 'original' only applies to full-size renditions (no width or height)`);
+    }
+
+    if (!CHROMA_SUBSAMPLING.includes(options.chromaSubsampling)) {
+      throw new Error(`Rendition '${name}': chromaSubsampling must be one of ${CHROMA_SUBSAMPLING.join(', ')}`);
+    }
+
+    const formats = rendition.formats ? this.parseFormats(rendition.formats, `Rendition '${name}'`) : defaultFormats;
+
+    return {
+      name,
+      width,
+      height,
+      fit: options.fit,
+      // Only renditions cut out of the image have a gravity
+      gravity: options.fit === 'contain' ? undefined : gravity,
+      quality,
+      targetBytes,
+      targetSsim,
+      effort,
+      chromaSubsampling: options.chromaSubsampling,
+      formats,
+      fallback: fallback === 'none' ? undefined : fallback
+    };
+  }
+
+  // Accepts an array, a JSON array string or a comma separated list ("avif,webp")
+  parseFormats(value, context) {
+    let formats = value;
+    if (typeof value === 'string') {
+      formats = value.trim().startsWith('[')
+        ? JSON.parse(value)
+        : value.split(',');
+    }
+    if (!Array.isArray(formats) || formats.length === 0) {
+      throw new Error(`${context}: formats must be a non-empty list`);
+    }
+
+    formats = [...new Set(formats.map(format => String(format).trim().toLowerCase()))];
+    for (const format of formats) {
+      if (!encoderService.getFormatNames().includes(format)) {
+        throw new Error(`${context}: unknown format '${format}'. Supported formats: ${encoderService.getFormatNames().join(', ')}`);
+      }
+      if (!encoderService.isAvailable(format)) {
+        throw new Error(`${context}: format '${format}' is not available on this server`);
+      }
+    }
+    return formats;
+  }
+
+  parseDimension(value, name, field) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    return this.parseInteger(value, name, field, 1, MAX_DIMENSION);
+  }
+
+  parseInteger(value, name, field, min, max) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`Rendition '${name}': ${field} must be an integer between ${min} and ${max}`);
+    }
+    return number;
+  }
+}
+
+export default new RenditionService();
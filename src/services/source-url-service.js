@@ -0,0 +1,179 @@
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import { codedError } from '../utils/errors.js';
+import { isBlockedAddress, guardedLookup, urlHostname } from '../utils/address-guard.js';
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Downloads the source image of jobs created with a sourceUrl. URLs are checked when the
+// job is created and again, with every redirect, when the worker fetches them; connections
+// only go to addresses outside private ranges, checked after DNS resolution. Failures carry
+// a SOURCE_* code; only transient ones (timeouts, connection errors, 5xx, 408 and 429
+// responses) are retried.
+class SourceUrlService {
+  constructor() {
+    // Exact hosts or '*.example.com' for its subdomains; empty allows any public host
+    this.allowedHosts = (process.env.SOURCE_URL_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+    this.maxBytes = Number(process.env.SOURCE_URL_MAX_MB || 50) * 1024 * 1024;
+    this.timeoutMs = Number(process.env.SOURCE_URL_TIMEOUT_MS || 15000);
+    this.maxRedirects = Number(process.env.SOURCE_URL_MAX_REDIRECTS ?? 3);
+    // Only for development and tests against a local server
+    this.allowPrivate = process.env.SOURCE_URL_ALLOW_PRIVATE === 'true';
+    // DNS lookup for the requests that refuses private addresses
+    this.lookup = guardedLookup({
+      isBlocked: address => this.isBlockedAddress(address),
+      dnsError: (hostname, error) => codedError('SOURCE_DNS_FAILED', `Could not resolve ${hostname}: ${error.code}`, {
+        retryable: error.code === 'EAI_AGAIN'
+      }),
+      blockedError: (hostname, address) => codedError('SOURCE_ADDRESS_BLOCKED', `${hostname} resolves to ${address}, which is not allowed`)
+    });
+  }
+
+  isBlockedAddress(address) {
+    return !this.allowPrivate && isBlockedAddress(address);
+  }
+
+  isAllowedHost(hostname) {
+    if (this.allowedHosts.length === 0) {
+      return true;
+    }
+    return this.allowedHosts.some(allowed => allowed.startsWith('*.')
+      ? hostname.endsWith(allowed.slice(1))
+      : hostname === allowed);
+  }
+
+  // Check a source URL before fetching it. Returns the parsed URL; errors have `status` 400.
+  validateUrl(sourceUrl) {
+    let url;
+    try {
+      url = new URL(sourceUrl);
+    } catch (error) {
+      throw Object.assign(codedError('SOURCE_URL_INVALID', `Invalid sourceUrl '${sourceUrl}'`), { status: 400 });
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw Object.assign(codedError('SOURCE_URL_INVALID', 'sourceUrl must use http or https'), { status: 400 });
+    }
+    if (url.username || url.password) {
+      throw Object.assign(codedError('SOURCE_URL_INVALID', 'sourceUrl must not contain credentials'), { status: 400 });
+    }
+
+    const hostname = urlHostname(url);
+    if (!this.isAllowedHost(hostname)) {
+      throw Object.assign(codedError('SOURCE_HOST_NOT_ALLOWED', `Host '${hostname}' is not allowed for sourceUrl`), { status: 400 });
+    }
+    // IP literals are never looked up, so they are checked here
+    if (net.isIP(hostname) && this.isBlockedAddress(hostname)) {
+      throw Object.assign(codedError('SOURCE_ADDRESS_BLOCKED', `Address ${hostname} is not allowed for sourceUrl`), { status: 400 });
+    }
+    return url;
+  }
+
+  // File name for a job's originalName, from the last path segment of the URL
+  fileName(sourceUrl) {
+    const { pathname } = new URL(sourceUrl);
+    let name;
+    try {
+      name = path.posix.basename(decodeURIComponent(pathname));
+    } catch (error) {
+      name = path.posix.basename(pathname);
+    }
+    return name || 'image';
+  }
+
+  // Download `sourceUrl`, following redirects. Resolves with { buffer, contentType, url }
+  // (the final URL). `signal` aborts the download, e.g. when the job is cancelled.
+  async fetch(sourceUrl, { signal } = {}) {
+    const timeout = AbortSignal.timeout(this.timeoutMs);
+    const abortSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+
+    let url = this.validateUrl(sourceUrl);
+    for (let redirects = 0; ; redirects++) {
+      const response = await this.request(url, abortSignal, timeout);
+
+      if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= this.maxRedirects) {
+          throw codedError('SOURCE_TOO_MANY_REDIRECTS', `sourceUrl redirected more than ${this.maxRedirects} times`);
+        }
+        url = this.validateUrl(new URL(response.headers.location, url).toString());
+        continue;
+      }
+
+      if (response.statusCode !== 200) {
+        response.resume();
+        const status = response.statusCode;
+        const error = codedError('SOURCE_HTTP_ERROR', `sourceUrl responded with HTTP ${status}`, {
+          retryable: status >= 500 || status === 408 || status === 429
+        });
+        error.httpStatus = status;
+        throw error;
+      }
+
+      const buffer = await this.readBody(response, abortSignal, timeout);
+      return { buffer, contentType: response.headers['content-type'], url: url.toString() };
+    }
+  }
+
+  request(url, signal, timeout) {
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = client.get(url, {
+        signal,
+        lookup: (hostname, options, callback) => this.lookup(hostname, options, callback),
+        headers: { 'User-Agent': 'jpeg2avif', Accept: 'image/*' }
+      }, resolve);
+      request.on('error', error => reject(this.requestError(error, timeout)));
+    });
+  }
+
+  readBody(response, signal, timeout) {
+    const declared = Number(response.headers['content-length']);
+    if (declared > this.maxBytes) {
+      response.destroy();
+      return Promise.reject(this.tooLarge());
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let received = 0;
+      response.on('data', chunk => {
+        received += chunk.length;
+        if (received > this.maxBytes) {
+          // Rejected before destroying: that fires 'aborted' straight away
+          reject(this.tooLarge());
+          response.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', error => reject(this.requestError(error, timeout)));
+      response.on('aborted', () => reject(this.requestError(signal.reason || new Error('Connection closed'), timeout)));
+    });
+  }
+
+  tooLarge() {
+    return codedError('SOURCE_TOO_LARGE', `sourceUrl is larger than ${Math.round(this.maxBytes / 1024 / 1024)}MB`);
+  }
+
+  requestError(error, timeout) {
+    if (error.code?.startsWith('SOURCE_')) {
+      return error;
+    }
+    if (timeout.aborted) {
+      return codedError('SOURCE_TIMEOUT', `Fetching sourceUrl timed out after ${this.timeoutMs}ms`);
+    }
+    // Cancelled by the caller: the worker reports the cancellation itself
+    if (error.name === 'AbortError') {
+      return error;
+    }
+    return codedError('SOURCE_CONNECTION_FAILED', `Could not fetch sourceUrl: ${error.message}`);
+  }
+}
+
+export default new SourceUrlService();
@@ -0,0 +1,184 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import winston from 'winston';
+import LocalStorage from './storage/local-storage.js';
+import S3Storage from './storage/s3-storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Service-owned objects (uploads and outputs) live under this prefix and are subject to retention
+const JOB_PREFIX = 'jobs/';
+
+class StorageService {
+  constructor() {
+    this.driver = null;
+    this.retentionHours = Number(process.env.STORAGE_RETENTION_HOURS || 24);
+    this.allowedBuckets = (process.env.STORAGE_ALLOWED_BUCKETS || '')
+      .split(',')
+      .map(bucket => bucket.trim())
+      .filter(Boolean);
+    this.sweepTimer = null;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.Console({
+          format: winston.format.combine(
+            winston.format.timestamp({ format: 'HH:mm:ss' }),
+            winston.format.colorize(),
+            winston.format.simple()
+          )
+        })
+      ]
+    });
+  }
+
+  createDriver() {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+
+    if (driver === 'local') {
+      return new LocalStorage({
+        rootDir: process.env.STORAGE_LOCAL_PATH || path.join(__dirname, '../../data')
+      });
+    }
+
+    if (driver === 's3') {
+      const endpoint = process.env.MINIO_ENDPOINT;
+      if (!endpoint) {
+        throw new Error('MINIO_ENDPOINT environment variable is required for the s3 storage driver');
+      }
+      const [endPoint, port] = endpoint.replace(/^https?:\/\//, '').split(':');
+      const useSSL = process.env.MINIO_USE_SSL === 'true';
+
+      return new S3Storage({
+        endPoint,
+        port: port ? Number(port) : (useSSL ? 443 : 80),
+        useSSL,
+        accessKey: process.env.MINIO_ACCESS_KEY,
+        secretKey: process.env.MINIO_SECRET_KEY,
+        region: process.env.MINIO_REGION || undefined,
+        bucket: process.env.MINIO_BUCKET_NAME || 'jpeg2avif'
+      });
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER '${driver}' (expected 'local' or 's3')`);
+  }
+
+  async initialize() {
+    try {
+      this.driver = this.createDriver();
+      await this.driver.initialize();
+      this.logger.info(`Storage initialized with ${this.driver.name} driver`, {
+        retentionHours: this.retentionHours
+      });
+    } catch (error) {
+      this.logger.error('Failed to initialize storage:', error.message);
+      throw error;
+    }
+  }
+
+  getDriver() {
+    if (!this.driver) {
+      throw new Error('Storage not initialized');
+    }
+    return this.driver;
+  }
+
+  getRetentionSeconds() {
+    return Math.round(this.retentionHours * 3600);
+  }
+
+  // Key for a service-owned object belonging to a job
+  jobKey(jobId, filename) {
+    return `${JOB_PREFIX}${jobId}/${filename}`;
+  }
+
+  // Validate a caller-requested output location ({ outputBucket, outputPrefix }).
+  // Returns null when outputs should go to the service's own job prefix.
+  resolveOutputLocation({ outputBucket, outputPrefix } = {}) {
+    if (!outputBucket && !outputPrefix) {
+      return null;
+    }
+
+    if (outputBucket) {
+      if (!this.getDriver().supportsBuckets()) {
+        throw new Error(`outputBucket is not supported by the ${this.driver.name} storage driver`);
+      }
+      if (!this.allowedBuckets.includes(outputBucket)) {
+        throw new Error(`Output bucket '${outputBucket}' is not allowed`);
+      }
+    }
+
+    const prefix = (outputPrefix || '').replace(/^\/+|\/+$/g, '');
+    if (prefix && (!/^[A-Za-z0-9!_.*'()\/-]+$/.test(prefix) || prefix.split('/').includes('..'))) {
+      throw new Error(`Invalid outputPrefix '${outputPrefix}'`);
+    }
+    if (!outputBucket && (prefix === 'jobs' || prefix.startsWith(JOB_PREFIX))) {
+      throw new Error(`outputPrefix may not be inside the reserved '${JOB_PREFIX}' prefix`);
+    }
+
+    return { bucket: outputBucket || null, prefix };
+  }
+
+  // `data` is a Buffer or a readable stream
+  async put(key, data, { contentType, bucket } = {}) {
+    try {
+      await this.getDriver().put(key, data, { contentType, bucket: bucket || undefined });
+    } catch (error) {
+      throw new Error(`Failed to store object ${key}: ${error.message}`);
+    }
+  }
+
+  async get(key, { bucket } = {}) {
+    return await this.getDriver().get(key, { bucket: bucket || undefined });
+  }
+
+  async stat(key, { bucket } = {}) {
+    return await this.getDriver().stat(key, { bucket: bucket || undefined });
+  }
+
+  async createReadStream(key, { bucket, start, end } = {}) {
+    return await this.getDriver().createReadStream(key, { bucket: bucket || undefined, start, end });
+  }
+
+  async delete(key, { bucket } = {}) {
+    await this.getDriver().delete(key, { bucket: bucket || undefined });
+  }
+
+  // Remove service-owned objects older than the retention period.
+  // Objects written to caller-specified locations are never purged.
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - this.getRetentionSeconds() * 1000);
+    try {
+      const removed = await this.getDriver().purgeExpired(JOB_PREFIX, cutoff);
+      if (removed > 0) {
+        this.logger.info(`Purged ${removed} expired objects from storage`);
+      }
+      return removed;
+    } catch (error) {
+      this.logger.error('Failed to purge expired objects:', error.message);
+      return 0;
+    }
+  }
+
+  startRetentionSweep(intervalMs = 60 * 60 * 1000) {
+    if (this.sweepTimer) {
+      return;
+    }
+    this.sweepTimer = setInterval(() => this.purgeExpired(), intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopRetentionSweep() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+export default new StorageService();
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+
+// Stores objects as files below a root directory. Buckets are not supported:
+// every object lives under the one root.
+class LocalStorage {
+  constructor({ rootDir }) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  async initialize() {
+    await fs.promises.mkdir(this.rootDir, { recursive: true });
+  }
+
+  supportsBuckets() {
+    return false;
+  }
+
+  // Map an object key to a path, refusing keys that escape the root directory
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+    return filePath;
+  }
+
+  // `data` is a Buffer or a readable stream
+  async put(key, data) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write then rename so readers never see a partial file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, data);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  async get(key) {
+    return await fs.promises.readFile(this.resolvePath(key));
+  }
+
+  async stat(key) {
+    const stats = await fs.promises.stat(this.resolvePath(key));
+    return { size: stats.size, lastModified: stats.mtime };
+  }
+
+  // `end` is inclusive, as in HTTP ranges
+  async createReadStream(key, { start, end } = {}) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath, { start, end });
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+
+  // Remove objects under `prefix` last modified before `cutoff`, and any directories left empty
+  async purgeExpired(prefix, cutoff) {
+    const baseDir = this.resolvePath(prefix);
+    let removed = 0;
+
+    const sweep = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await sweep(entryPath);
+          const remaining = await fs.promises.readdir(entryPath);
+          if (remaining.length === 0) {
+            await fs.promises.rmdir(entryPath);
+          }
+        } else {
+          const stats = await fs.promises.stat(entryPath);
+          if (stats.mtime < cutoff) {
+            await fs.promises.rm(entryPath, { force: true });
+            removed++;
+          }
+        }
+      }
+    };
+
+    await sweep(baseDir);
+    return removed;
+  }
+}
+
+export default LocalStorage;
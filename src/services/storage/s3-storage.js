@@ -0,0 +1,91 @@
+import { Client } from 'minio';
+
+// Normalize "object not found" errors so callers can treat both drivers alike
+const normalizeError = (error) => {
+  if (error.code === 'NotFound' || error.code === 'NoSuchKey') {
+    error.code = 'ENOENT';
+  }
+  return error;
+};
+
+// Stores objects in an S3-compatible object store (MinIO, AWS S3, ...)
+class S3Storage {
+  constructor({ endPoint, port, useSSL, accessKey, secretKey, region, bucket }) {
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new Client({ endPoint, port, useSSL, accessKey, secretKey, region });
+  }
+
+  async initialize() {
+    const exists = await this.client.bucketExists(this.bucket);
+    if (!exists) {
+      await this.client.makeBucket(this.bucket);
+    }
+  }
+
+  supportsBuckets() {
+    return true;
+  }
+
+  // `data` is a Buffer or a readable stream (uploaded in parts, size unknown)
+  async put(key, data, { contentType, bucket = this.bucket } = {}) {
+    await this.client.putObject(bucket, key, data, Buffer.isBuffer(data) ? data.length : undefined, {
+      'Content-Type': contentType || 'application/octet-stream'
+    });
+  }
+
+  async get(key, { bucket = this.bucket } = {}) {
+    const stream = await this.createReadStream(key, { bucket });
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async stat(key, { bucket = this.bucket } = {}) {
+    try {
+      const stats = await this.client.statObject(bucket, key);
+      return { size: stats.size, lastModified: stats.lastModified };
+    } catch (error) {
+      throw normalizeError(error);
+    }
+  }
+
+  // `end` is inclusive, as in HTTP ranges
+  async createReadStream(key, { bucket = this.bucket, start, end } = {}) {
+    try {
+      if (start === undefined && end === undefined) {
+        return await this.client.getObject(bucket, key);
+      }
+      const offset = start || 0;
+      const length = end === undefined ? 0 : end - offset + 1;
+      return await this.client.getPartialObject(bucket, key, offset, length);
+    } catch (error) {
+      throw normalizeError(error);
+    }
+  }
+
+  async delete(key, { bucket = this.bucket } = {}) {
+    await this.client.removeObject(bucket, key);
+  }
+
+  // Remove objects under `prefix` in the service bucket last modified before `cutoff`
+  async purgeExpired(prefix, cutoff) {
+    const expired = [];
+    const stream = this.client.listObjectsV2(this.bucket, prefix, true);
+    for await (const object of stream) {
+      if (object.name && object.lastModified < cutoff) {
+        expired.push(object.name);
+      }
+    }
+
+    // removeObjects accepts at most 1000 keys per call
+    for (let i = 0; i < expired.length; i += 1000) {
+      await this.client.removeObjects(this.bucket, expired.slice(i, i + 1000));
+    }
+    return expired.length;
+  }
+}
+
+export default S3Storage;
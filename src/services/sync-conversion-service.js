@@ -0,0 +1,225 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { fileURLToPath } from 'url';
+import { exiftool } from 'exiftool-vendored';
+import winston from 'winston';
+import encoderService from './encoder-service.js';
+import imageDecoder from './image-decoder.js';
+import metadataService from './metadata-service.js';
+import conversionPool from './conversion-pool.js';
+import admissionController from './admission-controller.js';
+import metricsService from './metrics-service.js';
+import { codedError, classify } from '../utils/errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Same per-image limit as POST /convert
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+// Converts small images inside the request (POST /convert-sync). Anything over the size,
+// pixel or time budget is rejected with `error.fallback` set so the caller can queue it instead.
+class SyncConversionService {
+  constructor() {
+    this.maxBytes = Number(process.env.SYNC_MAX_UPLOAD_MB || 5) * 1024 * 1024;
+    this.maxPixels = Number(process.env.SYNC_MAX_MEGAPIXELS || 12) * 1000 * 1000;
+    this.timeoutMs = Number(process.env.SYNC_TIMEOUT_MS || 5000);
+    this.tempDir = path.join(__dirname, '../../temp');
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.Console({
+          format: winston.format.combine(
+            winston.format.timestamp({ format: 'HH:mm:ss' }),
+            winston.format.colorize(),
+            winston.format.simple()
+          )
+        })
+      ]
+    });
+  }
+
+  // Read an upload up to the sync size budget. Resolves with { buffer, complete }; when the
+  // upload is larger, `stream` replays the bytes read so far followed by the rest of it.
+  async readUpload(stream) {
+    const iterator = stream[Symbol.asyncIterator]();
+    const chunks = [];
+    let size = 0;
+
+    while (size <= this.maxBytes) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        return { buffer: Buffer.concat(chunks, size), complete: true };
+      }
+      chunks.push(value);
+      size += value.length;
+    }
+
+    async function* remainder() {
+      yield* chunks;
+      for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+        yield next.value;
+      }
+    }
+    return { buffer: Buffer.concat(chunks, size), complete: false, stream: Readable.from(remainder()) };
+  }
+
+  // Pass an upload through, failing once it exceeds the POST /convert size limit.
+  // `counter.bytes` holds the number of bytes seen so far; `counter.hash`, if given, is
+  // updated with them.
+  limitUpload(stream, counter = { bytes: 0 }) {
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        counter.bytes += chunk.length;
+        counter.hash?.update(chunk);
+        if (counter.bytes > MAX_UPLOAD_BYTES) {
+          const error = new Error('File too large. Maximum size is 50MB.');
+          error.status = 400;
+          return callback(error);
+        }
+        callback(null, chunk);
+      }
+    });
+    stream.on('error', error => limiter.destroy(error));
+    return stream.pipe(limiter);
+  }
+
+  // Throws a fallback error if the image is too large to convert within the request
+  checkBudget(dimensions) {
+    if (!dimensions) {
+      throw codedError('INVALID_IMAGE', 'Could not read image dimensions');
+    }
+    const pixels = dimensions.width * dimensions.height;
+    if (pixels > this.maxPixels) {
+      throw this.fallbackError(
+        'pixels',
+        `${dimensions.width}x${dimensions.height} image is over the ${this.maxPixels / 1000000} megapixel limit for synchronous conversion`
+      );
+    }
+  }
+
+  fallbackError(reason, message) {
+    const error = new Error(message);
+    error.fallback = reason;
+    return error;
+  }
+
+  // Convert one rendition to one format within the time budget. Resolves with
+  // { file, size, width, height, crop, encoding, format, mimeType, colorProfile, metadataTags };
+  // the caller streams `file` and removes it with cleanup().
+  async convert({ inputBuffer, sourceFormat, dimensions, rendition, focalPoint, operations, metadataPolicy, colorProfile, requestId }) {
+    this.checkBudget(dimensions);
+
+    let cancelled = false;
+    let timer;
+    const work = this.runConversion({ inputBuffer, sourceFormat, dimensions, rendition, focalPoint, operations, metadataPolicy, colorProfile, requestId }, () => cancelled);
+    const budget = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(this.fallbackError('timeout', `Conversion did not finish within ${this.timeoutMs}ms`)),
+        this.timeoutMs
+      );
+    });
+
+    try {
+      return await Promise.race([work, budget]);
+    } catch (error) {
+      if (error.fallback === 'timeout') {
+        // The conversion can't be interrupted; drop its output once it's done
+        cancelled = true;
+        work.then(result => this.cleanup(result), () => {});
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async runConversion({ inputBuffer, sourceFormat, dimensions, rendition, focalPoint, operations, metadataPolicy, colorProfile, requestId }, isCancelled) {
+    const [format] = rendition.formats;
+    const { mimeType, extension } = encoderService.getFormat(format);
+    const id = `sync_${requestId}`;
+    const tempOriginal = path.join(this.tempDir, `${id}_original.${imageDecoder.formats[sourceFormat].extension}`);
+    const tempFile = path.join(this.tempDir, `${id}.${extension}`);
+
+    const release = await admissionController.acquire(
+      admissionController.estimate(dimensions),
+      `${dimensions.width}x${dimensions.height} image`
+    );
+    let converted;
+    try {
+      if (isCancelled()) {
+        throw new Error('Synchronous conversion cancelled');
+      }
+      converted = await conversionPool.run({
+        inputBuffer,
+        sourceFormat,
+        renditions: [rendition],
+        colorProfile,
+        focalPoint,
+        operations
+      });
+    } finally {
+      release();
+    }
+
+    const [output] = converted.renditions;
+    await fs.promises.mkdir(this.tempDir, { recursive: true });
+    try {
+      await fs.promises.writeFile(tempOriginal, inputBuffer);
+      await fs.promises.writeFile(tempFile, output.outputs[format]);
+
+      let metadataTags;
+      try {
+        metadataTags = await metadataService.apply(metadataPolicy, {
+          sourceFile: tempOriginal,
+          sourceTags: await exiftool.read(tempOriginal),
+          targetFile: tempFile,
+          format,
+          width: output.width,
+          height: output.height
+        });
+      } catch (metadataError) {
+        throw classify(metadataError, 'METADATA_ERROR', 'Metadata copy failed');
+      }
+      const { size } = await fs.promises.stat(tempFile);
+      metricsService.recordConversion({
+        sourceFormat,
+        inputSize: inputBuffer.length,
+        outputs: [{ rendition: rendition.name, format, size }]
+      });
+
+      return {
+        file: tempFile,
+        size,
+        width: output.width,
+        height: output.height,
+        crop: output.crop,
+        encoding: output.encoding[format],
+        format,
+        mimeType,
+        colorProfile: converted.colorProfile,
+        metadataTags
+      };
+    } catch (error) {
+      await fs.promises.rm(tempFile, { force: true });
+      throw error;
+    } finally {
+      await fs.promises.rm(tempOriginal, { force: true });
+    }
+  }
+
+  async cleanup(result) {
+    try {
+      await fs.promises.rm(result.file, { force: true });
+    } catch (error) {
+      this.logger.warn('Failed to cleanup temp file', { file: result.file, error: error.message });
+    }
+  }
+}
+
+export default new SyncConversionService();
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import winston from 'winston';
+import jobService from './job-service.js';
+import { isBlockedAddress, guardedLookup, urlHostname } from '../utils/address-guard.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delivers job completion/failure callbacks to the callbackUrl given on POST /convert.
+// Like source URLs, callbacks only go to addresses outside private ranges, checked after
+// DNS resolution, so a callback can't reach services inside the cluster.
+class WebhookService {
+  constructor() {
+    this.maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+    this.retryBaseMs = Number(process.env.WEBHOOK_RETRY_BASE_MS || 1000);
+    this.retryMaxMs = Number(process.env.WEBHOOK_RETRY_MAX_MS || 60000);
+    this.timeoutMs = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+    // Only for development and tests against a local server
+    this.allowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+    // DNS lookup for deliveries that refuses private addresses
+    this.lookup = guardedLookup({
+      isBlocked: address => this.isBlockedAddress(address),
+      dnsError: (hostname, error) => new Error(`Could not resolve ${hostname}: ${error.code}`),
+      blockedError: (hostname, address) => new Error(`${hostname} resolves to ${address}, which is not allowed`)
+    });
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.Console({
+          format: winston.format.combine(
+            winston.format.timestamp({ format: 'HH:mm:ss' }),
+            winston.format.colorize(),
+            winston.format.simple()
+          )
+        })
+      ]
+    });
+  }
+
+  isBlockedAddress(address) {
+    return !this.allowPrivate && isBlockedAddress(address);
+  }
+
+  // Check a callback URL when a job is created, and again before each delivery. Hosts that
+  // are private or loopback addresses are refused here; names are checked as they resolve.
+  validateCallbackUrl(callbackUrl) {
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      throw new Error(`Invalid callbackUrl '${callbackUrl}'`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('callbackUrl must use http or https');
+    }
+
+    const hostname = urlHostname(url);
+    const isLocalhost = hostname === 'localhost' || hostname.endsWith('.localhost');
+    if (!this.allowPrivate && (isLocalhost || (net.isIP(hostname) && this.isBlockedAddress(hostname)))) {
+      throw new Error(`Host '${hostname}' is not allowed for callbackUrl`);
+    }
+    return url.toString();
+  }
+
+  // HMAC-SHA256 over "<timestamp>.<body>", sent as "t=<timestamp>,v1=<hex digest>"
+  sign(body, secret, timestamp) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  // Backoff before the given (1-based) retry: base * 2^(attempt - 1), capped, with jitter
+  retryDelay(attempt) {
+    const delay = Math.min(this.retryBaseMs * 2 ** (attempt - 1), this.retryMaxMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  // notify() without waiting for the delivery, for jobs completed outside the worker
+  // (e.g. from a cached result)
+  notifyInBackground(job) {
+    if (!job.callbackUrl) {
+      return;
+    }
+    this.notify(job.id).catch(error => {
+      this.logger.error(`Webhook delivery for job ${job.id} crashed:`, error.message);
+    });
+  }
+
+  // Deliver the job's final state to its callback URL, retrying with backoff.
+  // Every attempt is recorded on the job under `webhook.deliveries`.
+  async notify(jobId) {
+    const job = await jobService.getJobStatus(jobId);
+    if (!job?.callbackUrl) {
+      return;
+    }
+
+    const event = job.status === 'completed' ? 'job.completed' : 'job.failed';
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify({
+      event,
+      deliveryId,
+      ...jobService.getJobSummary(job)
+    });
+    const secret = job.callbackSecret || process.env.WEBHOOK_SECRET;
+    const webhook = {
+      url: job.callbackUrl,
+      event,
+      deliveryId,
+      status: 'pending',
+      deliveries: []
+    };
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const attemptStart = Date.now();
+      const delivery = { attempt, attemptedAt: new Date(attemptStart).toISOString() };
+
+      try {
+        const timestamp = Math.floor(attemptStart / 1000);
+        const headers = {
+          'Content-Type': 'application/json',
+          'User-Agent': 'jpeg2avif-webhook',
+          'X-Jpeg2avif-Event': event,
+          'X-Jpeg2avif-Delivery': deliveryId
+        };
+        if (secret) {
+          headers['X-Jpeg2avif-Signature'] = this.sign(body, secret, timestamp);
+        }
+
+        delivery.statusCode = await this.post(job.callbackUrl, headers, body);
+        if (delivery.statusCode < 200 || delivery.statusCode > 299) {
+          throw new Error(`Callback responded with HTTP ${delivery.statusCode}`);
+        }
+      } catch (error) {
+        delivery.error = error.message;
+      }
+
+      delivery.durationMs = Date.now() - attemptStart;
+      webhook.deliveries.push(delivery);
+
+      if (!delivery.error) {
+        webhook.status = 'delivered';
+      } else if (attempt === this.maxAttempts) {
+        webhook.status = 'failed';
+      }
+      await this.recordDeliveries(jobId, webhook);
+
+      if (webhook.status === 'delivered') {
+        this.logger.info(`Webhook for job ${jobId} delivered`, { attempt, statusCode: delivery.statusCode });
+        return;
+      }
+
+      this.logger.warn(`Webhook for job ${jobId} failed`, { attempt, error: delivery.error });
+      if (attempt < this.maxAttempts) {
+        await sleep(this.retryDelay(attempt));
+      }
+    }
+
+    this.logger.error(`Webhook for job ${jobId} gave up after ${this.maxAttempts} attempts`);
+  }
+
+  // POST `body` to a callback URL without following redirects. Resolves with the status code.
+  post(callbackUrl, headers, body) {
+    // IP literals are never looked up, so they are checked here
+    const url = new URL(this.validateCallbackUrl(callbackUrl));
+    const timeout = AbortSignal.timeout(this.timeoutMs);
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        signal: timeout,
+        lookup: this.lookup
+      }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('error', error => reject(timeout.aborted
+        ? new Error(`Callback timed out after ${this.timeoutMs}ms`)
+        : error));
+      request.end(body);
+    });
+  }
+
+  async recordDeliveries(jobId, webhook) {
+    try {
+      await jobService.updateJobStatus(jobId, { webhook });
+    } catch (error) {
+      this.logger.error(`Failed to record webhook delivery for job ${jobId}:`, error.message);
+    }
+  }
+}
+
+export default new WebhookService();
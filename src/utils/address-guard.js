@@ -0,0 +1,54 @@
+import dns from 'dns';
+import net from 'net';
+
+// Loopback, private, link-local, shared, documentation, multicast and reserved ranges, plus
+// IPv6 prefixes that embed an IPv4 address (NAT64, 6to4, Teredo). BlockList checks
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) against the IPv4 ranges itself.
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['2001::', 32], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+// Whether the service may not connect to `address`: one in the ranges above, or not an
+// IP address at all
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Host of a URL without the brackets of an IPv6 literal
+export function urlHostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+// A `lookup` for http(s) requests that refuses hosts resolving to a blocked address
+// (`isBlocked`). The connection uses the addresses checked here, so a second resolution
+// can't point it somewhere else. Errors come from `dnsError(hostname, error)` and
+// `blockedError(hostname, address)`.
+export function guardedLookup({ isBlocked = isBlockedAddress, dnsError, blockedError }) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(dnsError(hostname, error));
+      }
+      const blocked = addresses.find(({ address }) => isBlocked(address));
+      if (blocked) {
+        return callback(blockedError(hostname, blocked.address));
+      }
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
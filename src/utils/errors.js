@@ -0,0 +1,55 @@
+// Machine-readable codes of conversion failures. A job records the code of its last error
+// as `errorCode`; `retryable` says whether another attempt can succeed.
+export const ERROR_CODES = {
+  // Corrupt, truncated or unrecognized input
+  INVALID_IMAGE: { retryable: false },
+  // Pixel dimensions over the limits, or more memory than the worker has
+  DECOMPRESSION_BOMB: { retryable: false },
+  // An operation that can't be applied to the image, e.g. a crop outside it
+  INVALID_OPERATION: { retryable: false },
+  // An operation took longer than its time limit
+  TIMEOUT: { retryable: true },
+  // The encoder or its conversion thread failed
+  ENCODER_ERROR: { retryable: true },
+  // Reading or writing metadata with exiftool failed
+  METADATA_ERROR: { retryable: true },
+  // Loading the source or storing an output failed
+  STORAGE_ERROR: { retryable: true },
+  // Anything not classified above
+  INTERNAL_ERROR: { retryable: true },
+  // Downloading a job's sourceUrl (see source-url-service); whether a download error is
+  // retried depends on the failure
+  SOURCE_URL_INVALID: { retryable: false },
+  SOURCE_HOST_NOT_ALLOWED: { retryable: false },
+  SOURCE_ADDRESS_BLOCKED: { retryable: false },
+  SOURCE_DNS_FAILED: { retryable: false },
+  SOURCE_CONNECTION_FAILED: { retryable: true },
+  SOURCE_TIMEOUT: { retryable: true },
+  SOURCE_HTTP_ERROR: { retryable: false },
+  SOURCE_TOO_MANY_REDIRECTS: { retryable: false },
+  SOURCE_TOO_LARGE: { retryable: false },
+  SOURCE_UNSUPPORTED_FORMAT: { retryable: false }
+};
+
+// Error with `code` and the code's `retryable` flag; `retryable` overrides the flag
+export function codedError(code, message, { retryable = ERROR_CODES[code].retryable, cause } = {}) {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.code = code;
+  error.retryable = retryable;
+  return error;
+}
+
+// The code of an error from ERROR_CODES; system error codes (ENOENT, ...) and errors
+// without one are INTERNAL_ERROR
+export function errorCode(error) {
+  return ERROR_CODES[error?.code] ? error.code : 'INTERNAL_ERROR';
+}
+
+// Give an error a code unless it already has one from ERROR_CODES, keeping its message
+// prefixed with `context`
+export function classify(error, code, context) {
+  if (ERROR_CODES[error?.code]) {
+    return error;
+  }
+  return codedError(code, context ? `${context}: ${error.message}` : error.message, { cause: error });
+}
@@ -0,0 +1,122 @@
+// Longest side of the map an image is reduced to before it is analysed
+const MAP_SIZE = 96;
+// Regions per side of the map that are scored
+const REGIONS = 12;
+// Regions scoring at least this share of the best one pull the focal point towards them
+const REGION_THRESHOLD = 0.6;
+// How much a region's score drops from the centre of the image to a corner
+const CENTER_BIAS = 0.25;
+
+export const CENTER = { x: 0.5, y: 0.5 };
+
+// Estimate where the subject of a Jimp image is, as { x, y } fractions of its width and
+// height. The image is reduced to a small luminance and saturation map, and every region of
+// the map is scored by its edge density, the entropy of its luminance and its saturation,
+// ignoring transparent pixels; the focal point is the weighted centre of the best regions.
+// Flat images get the centre.
+export function findFocalPoint(image) {
+  const { data, width, height } = image.bitmap;
+  const step = Math.max(1, Math.ceil(Math.max(width, height) / MAP_SIZE));
+  const mapWidth = Math.ceil(width / step);
+  const mapHeight = Math.ceil(height / step);
+  // A few samples per map pixel are enough, and keep large images cheap
+  const stride = Math.max(1, Math.floor(step / 3));
+
+  const luminance = new Float32Array(mapWidth * mapHeight);
+  const saturation = new Float32Array(mapWidth * mapHeight);
+  const opacity = new Float32Array(mapWidth * mapHeight);
+  const samples = new Uint16Array(mapWidth * mapHeight);
+  for (let y = 0; y < height; y += stride) {
+    for (let x = 0; x < width; x += stride) {
+      const offset = (y * width + x) * 4;
+      const [r, g, b, a] = [data[offset], data[offset + 1], data[offset + 2], data[offset + 3]];
+      const cell = Math.floor(y / step) * mapWidth + Math.floor(x / step);
+      luminance[cell] += 0.299 * r + 0.587 * g + 0.114 * b;
+      saturation[cell] += (Math.max(r, g, b) - Math.min(r, g, b)) / 255;
+      opacity[cell] += a / 255;
+      samples[cell]++;
+    }
+  }
+  for (let cell = 0; cell < samples.length; cell++) {
+    luminance[cell] /= samples[cell] || 1;
+    saturation[cell] /= samples[cell] || 1;
+    opacity[cell] /= samples[cell] || 1;
+  }
+
+  // Features per region: mean edge strength, luminance entropy and mean saturation
+  const regionSize = Math.max(2, Math.ceil(Math.max(mapWidth, mapHeight) / REGIONS));
+  const regions = [];
+  for (let top = 0; top < mapHeight; top += regionSize) {
+    for (let left = 0; left < mapWidth; left += regionSize) {
+      const histogram = new Array(16).fill(0);
+      let edges = 0;
+      let colour = 0;
+      let alpha = 0;
+      let count = 0;
+      for (let y = top; y < Math.min(top + regionSize, mapHeight); y++) {
+        for (let x = left; x < Math.min(left + regionSize, mapWidth); x++) {
+          const cell = y * mapWidth + x;
+          const dx = x > 0 && x < mapWidth - 1 ? luminance[cell + 1] - luminance[cell - 1] : 0;
+          const dy = y > 0 && y < mapHeight - 1 ? luminance[cell + mapWidth] - luminance[cell - mapWidth] : 0;
+          edges += (Math.abs(dx) + Math.abs(dy)) * opacity[cell];
+          colour += saturation[cell] * opacity[cell];
+          alpha += opacity[cell];
+          histogram[Math.min(15, Math.floor(luminance[cell] / 16))] += opacity[cell];
+          count++;
+        }
+      }
+      const entropy = alpha > 0
+        ? -histogram.reduce((total, bin) => bin > 0 ? total + (bin / alpha) * Math.log2(bin / alpha) : total, 0)
+        : 0;
+      regions.push({
+        x: (left + Math.min(regionSize, mapWidth - left) / 2) / mapWidth,
+        y: (top + Math.min(regionSize, mapHeight - top) / 2) / mapHeight,
+        edges: edges / count,
+        entropy,
+        colour: colour / count
+      });
+    }
+  }
+
+  // Each feature counts relative to its strongest region, so no single one dominates
+  const peak = (feature) => Math.max(...regions.map(region => region[feature])) || 1;
+  const [maxEdges, maxEntropy, maxColour] = [peak('edges'), peak('entropy'), peak('colour')];
+  for (const region of regions) {
+    const distance = ((region.x - 0.5) ** 2 + (region.y - 0.5) ** 2) * 2;
+    region.score = (0.5 * region.edges / maxEdges + 0.3 * region.entropy / maxEntropy + 0.2 * region.colour / maxColour)
+      * (1 - CENTER_BIAS * distance);
+  }
+
+  const best = Math.max(...regions.map(region => region.score));
+  if (!(best > 0) || regions.every(region => region.edges === 0)) {
+    return CENTER;
+  }
+
+  let totalWeight = 0;
+  let focusX = 0;
+  let focusY = 0;
+  for (const region of regions) {
+    const weight = region.score - best * REGION_THRESHOLD;
+    if (weight > 0) {
+      totalWeight += weight;
+      focusX += region.x * weight;
+      focusY += region.y * weight;
+    }
+  }
+  return {
+    x: Math.round(focusX / totalWeight * 1000) / 1000,
+    y: Math.round(focusY / totalWeight * 1000) / 1000
+  };
+}
+
+// The `cropWidth` x `cropHeight` rectangle of a `width` x `height` image centred as close to
+// `focalPoint` as the image's edges allow, in pixels
+export function cropAround(width, height, cropWidth, cropHeight, focalPoint = CENTER) {
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  return {
+    x: clamp(Math.round(focalPoint.x * width - cropWidth / 2), width - cropWidth),
+    y: clamp(Math.round(focalPoint.y * height - cropHeight / 2), height - cropHeight),
+    width: cropWidth,
+    height: cropHeight
+  };
+}
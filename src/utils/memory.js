@@ -0,0 +1,38 @@
+import fs from 'fs';
+import os from 'os';
+
+const toMb = (bytes) => Math.round(bytes / 1024 / 1024 * 100) / 100;
+
+// Process memory in MB (includes worker threads, which share the process)
+export function getMemoryUsage() {
+  const used = process.memoryUsage();
+  return {
+    rss: toMb(used.rss), // MB
+    heapTotal: toMb(used.heapTotal), // MB
+    heapUsed: toMb(used.heapUsed), // MB
+    external: toMb(used.external) // MB
+  };
+}
+
+// Memory available to the container in MB: the cgroup limit when there is one, otherwise total RAM
+export function getMemoryLimit() {
+  const cgroupFiles = [
+    '/sys/fs/cgroup/memory.max', // cgroup v2
+    '/sys/fs/cgroup/memory/memory.limit_in_bytes' // cgroup v1
+  ];
+
+  for (const file of cgroupFiles) {
+    try {
+      const value = fs.readFileSync(file, 'utf8').trim();
+      const bytes = Number(value);
+      // "max" (v2) or a huge sentinel (v1) means unlimited
+      if (Number.isFinite(bytes) && bytes > 0 && bytes < os.totalmem()) {
+        return toMb(bytes);
+      }
+    } catch (error) {
+      // Not running under this cgroup version
+    }
+  }
+
+  return toMb(os.totalmem());
+}
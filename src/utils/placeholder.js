@@ -0,0 +1,106 @@
+import sharp from 'sharp';
+import { encode as encodeBlurHash } from 'blurhash';
+import { rgbaToThumbHash } from 'thumbhash';
+
+// Longest side of the images the hashes are computed from; ThumbHash takes at most 100
+const BLURHASH_SIZE = 32;
+const THUMBHASH_SIZE = 100;
+// BlurHash components along the longer and the shorter side
+const LONG_COMPONENTS = 4;
+const SHORT_COMPONENTS = 3;
+// Pixels below this alpha count as transparent, and visible pixels below this luma as dark
+const TRANSPARENT_ALPHA = 128;
+const DARK_LUMA = 64;
+
+const hex = (r, g, b) => '#' + [r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+
+// RGBA pixels of a Jimp image scaled to fit a `size` x `size` box
+async function thumbnail(image, size, { flatten = false } = {}) {
+  const { data, width, height } = image.bitmap;
+  let pipeline = sharp(data, { raw: { width, height, channels: 4 } })
+    .resize(size, size, { fit: 'inside' });
+  if (flatten) {
+    // BlurHash has no alpha; transparent areas show as the page behind them
+    pipeline = pipeline.flatten({ background: '#ffffff' }).ensureAlpha();
+  }
+  const { data: pixels, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+  return { pixels: new Uint8ClampedArray(pixels), width: info.width, height: info.height };
+}
+
+// Colours of RGBA pixels, each weighted by its alpha: the average, and the dominant one
+// (the average of the most common colour when every channel is reduced to 4 bits), plus the
+// shares of transparent pixels and of dark pixels among the visible ones
+function describeColors(pixels) {
+  const bins = new Map();
+  let total = 0;
+  let [red, green, blue] = [0, 0, 0];
+  let transparent = 0;
+  let dark = 0;
+
+  for (let offset = 0; offset < pixels.length; offset += 4) {
+    const [r, g, b, a] = [pixels[offset], pixels[offset + 1], pixels[offset + 2], pixels[offset + 3]];
+    if (a < TRANSPARENT_ALPHA) {
+      transparent++;
+    }
+    if (a === 0) {
+      continue;
+    }
+    const weight = a / 255;
+    total += weight;
+    red += r * weight;
+    green += g * weight;
+    blue += b * weight;
+    if (0.299 * r + 0.587 * g + 0.114 * b < DARK_LUMA) {
+      dark += weight;
+    }
+
+    const key = (r >> 4) << 8 | (g >> 4) << 4 | b >> 4;
+    const bin = bins.get(key) || { weight: 0, r: 0, g: 0, b: 0 };
+    bin.weight += weight;
+    bin.r += r * weight;
+    bin.g += g * weight;
+    bin.b += b * weight;
+    bins.set(key, bin);
+  }
+
+  const pixelCount = pixels.length / 4;
+  if (total === 0) {
+    return { averageColor: null, dominantColor: null, transparent: 1, dark: 0 };
+  }
+  const dominant = [...bins.values()].reduce((best, bin) => bin.weight > best.weight ? bin : best);
+  return {
+    averageColor: hex(red / total, green / total, blue / total),
+    dominantColor: hex(dominant.r / dominant.weight, dominant.g / dominant.weight, dominant.b / dominant.weight),
+    transparent: transparent / pixelCount,
+    dark: dark / total
+  };
+}
+
+// What a client needs to show a Jimp image before it has loaded:
+// { blurhash, thumbhash (base64), averageColor, dominantColor ('#rrggbb', null when fully
+// transparent), mostlyTransparent, mostlyDark }. The hints are true when more than half of
+// the pixels are transparent, or more than half of the visible ones are dark.
+export async function describePlaceholder(image) {
+  const blur = await thumbnail(image, BLURHASH_SIZE, { flatten: true });
+  const landscape = blur.width >= blur.height;
+  const blurhash = encodeBlurHash(
+    blur.pixels,
+    blur.width,
+    blur.height,
+    landscape ? LONG_COMPONENTS : SHORT_COMPONENTS,
+    landscape ? SHORT_COMPONENTS : LONG_COMPONENTS
+  );
+
+  const thumb = await thumbnail(image, THUMBHASH_SIZE);
+  const thumbhash = Buffer.from(rgbaToThumbHash(thumb.width, thumb.height, thumb.pixels)).toString('base64');
+
+  const { averageColor, dominantColor, transparent, dark } = describeColors(thumb.pixels);
+  return {
+    blurhash,
+    thumbhash,
+    averageColor,
+    dominantColor,
+    mostlyTransparent: transparent > 0.5,
+    mostlyDark: dark > 0.5
+  };
+}
@@ -0,0 +1,38 @@
+import zlib from 'zlib';
+
+// PNG signature (8 bytes) plus the IHDR chunk (4 length + 4 type + 13 data + 4 CRC)
+const IHDR_END = 33;
+
+// CRC-32 as used by PNG chunks (zlib.crc32 needs Node 20.15+)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const typeBytes = Buffer.from(type, 'latin1');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([typeBytes, data])));
+  return Buffer.concat([length, typeBytes, data, crc]);
+}
+
+// Tag a PNG with an ICC profile (iCCP chunk) without touching its pixels. sharp can only
+// attach a profile by converting the pixels into it.
+export function embedIccProfile(png, icc, name = 'ICC profile') {
+  // Profile name, null separator, compression method 0 (deflate), compressed profile
+  const data = Buffer.concat([Buffer.from(`${name}\0\0`, 'latin1'), zlib.deflateSync(icc)]);
+  return Buffer.concat([png.subarray(0, IHDR_END), chunk('iCCP', data), png.subarray(IHDR_END)]);
+}
@@ -0,0 +1,61 @@
+// Window size and step of the SSIM comparison
+const WINDOW = 8;
+const STEP = 4;
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+// Luma of RGBA pixels composited over white, the way a transparent image is seen on a page
+// (and how JPEG outputs are flattened)
+function luma(data, pixels) {
+  const values = new Float32Array(pixels);
+  for (let pixel = 0; pixel < pixels; pixel++) {
+    const offset = pixel * 4;
+    const alpha = data[offset + 3] / 255;
+    const value = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+    values[pixel] = value * alpha + 255 * (1 - alpha);
+  }
+  return values;
+}
+
+// Structural similarity of two RGBA images of the same size: the mean SSIM of their luma
+// over 8x8 windows taken every 4 pixels. 1 means identical; lossy encodes that look the same
+// as their source typically score above 0.95.
+export function ssim(a, b, width, height) {
+  const lumaA = luma(a, width * height);
+  const lumaB = luma(b, width * height);
+  const windowWidth = Math.min(WINDOW, width);
+  const windowHeight = Math.min(WINDOW, height);
+  const count = windowWidth * windowHeight;
+
+  let total = 0;
+  let windows = 0;
+  for (let top = 0; top + windowHeight <= height; top += STEP) {
+    for (let left = 0; left + windowWidth <= width; left += STEP) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+      for (let y = top; y < top + windowHeight; y++) {
+        for (let x = left; x < left + windowWidth; x++) {
+          const valueA = lumaA[y * width + x];
+          const valueB = lumaB[y * width + x];
+          sumA += valueA;
+          sumB += valueB;
+          sumAA += valueA * valueA;
+          sumBB += valueB * valueB;
+          sumAB += valueA * valueB;
+        }
+      }
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varianceA = sumAA / count - meanA * meanA;
+      const varianceB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+      total += ((2 * meanA * meanB + C1) * (2 * covariance + C2))
+        / ((meanA * meanA + meanB * meanB + C1) * (varianceA + varianceB + C2));
+      windows++;
+    }
+  }
+  return total / windows;
+}
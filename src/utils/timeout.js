@@ -0,0 +1,24 @@
+import { codedError } from './errors.js';
+
+const timeoutListeners = [];
+
+// Call `listener` with the operation name whenever withTimeout gives up (see metrics-service)
+export function onTimeout(listener) {
+  timeoutListeners.push(listener);
+}
+
+// Reject with a TIMEOUT error if the promise hasn't settled within timeoutMs. The underlying
+// work is not cancelled.
+// `operation` names the kind of work for metrics, e.g. 'encode'.
+export function withTimeout(promise, timeoutMs, description, operation = 'other') {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        timeoutListeners.forEach(listener => listener(operation));
+        reject(codedError('TIMEOUT', `${description} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
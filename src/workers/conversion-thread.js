@@ -0,0 +1,31 @@
+import { parentPort } from 'worker_threads';
+import imageConverter from '../services/image-converter.js';
+import { onTimeout } from '../utils/timeout.js';
+
+// Metrics live on the main thread
+onTimeout(operation => parentPort.postMessage({ timeout: operation }));
+
+// Conversion thread: runs one task at a time for the conversion pool
+parentPort.on('message', async ({ taskId, inputBuffer, sourceFormat, renditions, colorProfile, focalPoint, operations, placeholder }) => {
+  try {
+    const result = await imageConverter.convert({
+      inputBuffer: Buffer.from(inputBuffer.buffer, inputBuffer.byteOffset, inputBuffer.byteLength),
+      sourceFormat,
+      renditions,
+      colorProfile,
+      focalPoint,
+      operations,
+      placeholder,
+      onProgress: progress => parentPort.postMessage({ taskId, progress })
+    });
+    parentPort.postMessage({ taskId, result });
+  } catch (error) {
+    parentPort.postMessage({
+      taskId,
+      error: { message: error.message, stack: error.stack, code: error.code, retryable: error.retryable }
+    });
+  }
+});
+
+// Modules are loaded; tell the pool this thread can take work
+parentPort.postMessage({ ready: true });
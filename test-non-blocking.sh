@@ -5,6 +5,12 @@
 SERVICE_URL=${1:-"http://localhost:3000"}
 TEST_IMAGE=${2:-"test.jpg"}
 
+# API key for the service (see "Authentication" in README.md)
+AUTH=()
+if [ -n "$API_KEY" ]; then
+    AUTH=(-H "Authorization: Bearer $API_KEY")
+fi
+
 echo "Testing non-blocking JPEG to AVIF conversion service at $SERVICE_URL"
 echo "Using Redis at: ${REDIS_HOST:-cache.hbvu.su}"
 
@@ -19,7 +25,7 @@ echo "1. Testing health endpoint..."
 curl -s "$SERVICE_URL/health" | jq .
 
 echo -e "\n2. Uploading image for conversion..."
-RESPONSE=$(curl -s -X POST \
+RESPONSE=$(curl -s -X POST "${AUTH[@]}" \
   -F "image=@$TEST_IMAGE" \
   "$SERVICE_URL/convert")
 
@@ -40,7 +46,7 @@ echo "4. Checking job status..."
 for i in {1..30}; do
     echo "Attempt $i: Checking job status..."
     
-    STATUS_RESPONSE=$(curl -s "$SERVICE_URL/status/$JOB_ID")
+    STATUS_RESPONSE=$(curl -s "${AUTH[@]}" "$SERVICE_URL/status/$JOB_ID")
     STATUS=$(echo "$STATUS_RESPONSE" | jq -r '.status')
     
     echo "$STATUS_RESPONSE" | jq .
@@ -48,15 +54,15 @@ for i in {1..30}; do
     if [ "$STATUS" = "completed" ]; then
         echo -e "\n✅ Job completed successfully!"
         
-        # Extract and save results
-        THUMB_DATA=$(echo "$STATUS_RESPONSE" | jq -r '.results.thumbnail.data')
-        FULL_DATA=$(echo "$STATUS_RESPONSE" | jq -r '.results.fullSize.data')
-        THUMB_FILENAME=$(echo "$STATUS_RESPONSE" | jq -r '.results.thumbnail.filename')
-        FULL_FILENAME=$(echo "$STATUS_RESPONSE" | jq -r '.results.fullSize.filename')
+        # Download results
+        THUMB_URL=$(echo "$STATUS_RESPONSE" | jq -r '.results.renditions.thumbnail.formats.avif.url')
+        FULL_URL=$(echo "$STATUS_RESPONSE" | jq -r '.results.renditions.fullSize.formats.avif.url')
+        THUMB_FILENAME=$(echo "$STATUS_RESPONSE" | jq -r '.results.renditions.thumbnail.formats.avif.filename')
+        FULL_FILENAME=$(echo "$STATUS_RESPONSE" | jq -r '.results.renditions.fullSize.formats.avif.filename')
         
         echo "Saving results..."
-        echo "$THUMB_DATA" | base64 -d > "$THUMB_FILENAME"
-        echo "$FULL_DATA" | base64 -d > "$FULL_FILENAME"
+        curl -s "${AUTH[@]}" -o "$THUMB_FILENAME" "$SERVICE_URL$THUMB_URL"
+        curl -s "${AUTH[@]}" -o "$FULL_FILENAME" "$SERVICE_URL$FULL_URL"
         
         echo "✅ Files saved: $THUMB_FILENAME, $FULL_FILENAME"
         break
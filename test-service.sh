@@ -8,6 +8,11 @@ set -e  # Exit on any error
 # Configuration
 SERVICE_URL="http://localhost:3000"
 CONVERT_ENDPOINT="/convert"
+# API key for the service (see "Authentication" in README.md)
+AUTH=()
+if [ -n "$API_KEY" ]; then
+    AUTH=(-H "Authorization: Bearer $API_KEY")
+fi
 
 # Colors for output
 RED='\033[0;31m'
@@ -174,7 +179,7 @@ main() {
     local start_time=$(date +%s)
     
     local http_code=$(curl -s -w "%{http_code}" \
-        -X POST \
+        -X POST "${AUTH[@]}" \
         -F "image=@${file_path}" \
         "${SERVICE_URL}${CONVERT_ENDPOINT}" \
         -o "$temp_response")
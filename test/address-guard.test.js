@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isBlockedAddress, urlHostname, guardedLookup } from '../src/utils/address-guard.js';
+
+describe('isBlockedAddress', () => {
+  it('blocks private, loopback and reserved addresses', () => {
+    for (const address of [
+      '127.0.0.1', '10.1.2.3', '172.31.255.255', '192.168.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', '64:ff9b::a00:1', '2002:a00:1::'
+    ]) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it('allows public addresses', () => {
+    for (const address of ['8.8.8.8', '172.32.0.1', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+      assert.equal(isBlockedAddress(address), false, address);
+    }
+  });
+
+  it('blocks anything that is not an IP address', () => {
+    assert.equal(isBlockedAddress('example.com'), true);
+    assert.equal(isBlockedAddress(''), true);
+  });
+});
+
+describe('urlHostname', () => {
+  it('strips the brackets of IPv6 literals', () => {
+    assert.equal(urlHostname(new URL('http://[::1]:8080/x')), '::1');
+    assert.equal(urlHostname(new URL('https://Example.COM/a')), 'example.com');
+  });
+});
+
+describe('guardedLookup', () => {
+  const errors = {
+    dnsError: (hostname, error) => Object.assign(new Error(`dns ${hostname}`), { cause: error }),
+    blockedError: (hostname, address) => new Error(`blocked ${hostname} ${address}`)
+  };
+  const lookup = (options, hostname, lookupOptions = {}) => new Promise((resolve, reject) => {
+    guardedLookup({ ...errors, ...options })(hostname, lookupOptions, (error, ...result) => error ? reject(error) : resolve(result));
+  });
+
+  it('refuses hosts resolving to a blocked address', async () => {
+    await assert.rejects(lookup({}, 'localhost'), /^Error: blocked localhost (127\.0\.0\.1|::1)$/);
+  });
+
+  it('passes on the checked addresses', async () => {
+    const [address, family] = await lookup({ isBlocked: () => false }, 'localhost');
+    assert.ok(isBlockedAddress(address));
+    assert.ok(family === 4 || family === 6);
+
+    const [addresses] = await lookup({ isBlocked: () => false }, 'localhost', { all: true });
+    assert.ok(addresses.some(entry => entry.address === address));
+  });
+});
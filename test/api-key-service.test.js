@@ -0,0 +1,93 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import apiKeyService from '../src/services/api-key-service.js';
+
+describe('resolveKeyOptions', () => {
+  it('requires a clientId on create', () => {
+    assert.deepEqual(apiKeyService.resolveKeyOptions({ clientId: 'acme:prod@eu-1' }), { clientId: 'acme:prod@eu-1' });
+    assert.throws(() => apiKeyService.resolveKeyOptions({}), /clientId is required/);
+    assert.throws(() => apiKeyService.resolveKeyOptions({ clientId: 'has space' }), /clientId is required/);
+    assert.throws(() => apiKeyService.resolveKeyOptions({ clientId: 'x'.repeat(129) }), /clientId is required/);
+  });
+
+  it('allows missing fields on update', () => {
+    assert.deepEqual(apiKeyService.resolveKeyOptions({}, { partial: true }), {});
+    assert.deepEqual(apiKeyService.resolveKeyOptions({ disabled: true }, { partial: true }), { disabled: true });
+    assert.throws(() => apiKeyService.resolveKeyOptions({ clientId: '' }, { partial: true }), /clientId is required/);
+  });
+
+  it('parses the limits, with null for the service default', () => {
+    const options = apiKeyService.resolveKeyOptions({ clientId: 'a', rateLimit: '60', dailyJobs: 0, dailyBytes: null });
+    assert.deepEqual(options, { clientId: 'a', rateLimit: 60, dailyJobs: 0, dailyBytes: null });
+    for (const value of [-1, 1.5, 'many']) {
+      assert.throws(() => apiKeyService.resolveKeyOptions({ clientId: 'a', dailyJobs: value }), /dailyJobs must be a non-negative integer or null/);
+    }
+  });
+
+  it('checks the name and disabled flag', () => {
+    assert.throws(() => apiKeyService.resolveKeyOptions({ clientId: 'a', name: 'x'.repeat(201) }), /name must be a string/);
+    assert.throws(() => apiKeyService.resolveKeyOptions({ clientId: 'a', disabled: 'yes' }), /disabled must be true or false/);
+  });
+});
+
+describe('authenticate', () => {
+  const id = '0123456789ab';
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const record = {
+    id,
+    clientId: 'acme',
+    disabled: false,
+    secretHash: crypto.createHash('sha256').update(secret).digest('hex')
+  };
+
+  afterEach(() => mock.restoreAll());
+
+  it('looks up the record by the id in the key', async () => {
+    const getKey = mock.method(apiKeyService, 'getKey', async () => record);
+    assert.equal(await apiKeyService.authenticate(`j2a_${id}_${secret}`), record);
+    assert.deepEqual(getKey.mock.calls[0].arguments, [id]);
+  });
+
+  it('rejects malformed keys without a lookup', async () => {
+    const getKey = mock.method(apiKeyService, 'getKey', async () => record);
+    for (const presented of [undefined, '', secret, `j2a_${id}_${secret}x`, `j2a_${id.toUpperCase()}_${secret}`, `key_${id}_${secret}`]) {
+      assert.equal(await apiKeyService.authenticate(presented), null);
+    }
+    assert.equal(getKey.mock.callCount(), 0);
+  });
+
+  it('rejects a wrong secret, an unknown key and a disabled key', async () => {
+    const other = crypto.randomBytes(32).toString('base64url');
+    mock.method(apiKeyService, 'getKey', async () => record);
+    assert.equal(await apiKeyService.authenticate(`j2a_${id}_${other}`), null);
+
+    mock.method(apiKeyService, 'getKey', async () => null);
+    assert.equal(await apiKeyService.authenticate(`j2a_${id}_${secret}`), null);
+
+    mock.method(apiKeyService, 'getKey', async () => ({ ...record, disabled: true }));
+    assert.equal(await apiKeyService.authenticate(`j2a_${id}_${secret}`), null);
+  });
+});
+
+describe('isAdminKey', () => {
+  it('matches ADMIN_API_KEY only when it is set', () => {
+    const { adminKey } = apiKeyService;
+    try {
+      apiKeyService.adminKey = null;
+      assert.equal(apiKeyService.isAdminKey('anything'), false);
+      apiKeyService.adminKey = 'admin-secret';
+      assert.equal(apiKeyService.isAdminKey('admin-secret'), true);
+      assert.equal(apiKeyService.isAdminKey('admin-secret-but-longer'), false);
+      assert.equal(apiKeyService.isAdminKey(undefined), false);
+    } finally {
+      apiKeyService.adminKey = adminKey;
+    }
+  });
+});
+
+describe('present', () => {
+  it('drops the secret hash', () => {
+    assert.deepEqual(apiKeyService.present({ id: 'a', clientId: 'b', secretHash: 'c' }), { id: 'a', clientId: 'b' });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CENTER, cropAround, findFocalPoint } from '../src/utils/focal-point.js';
+
+// A Jimp-like image: grey background with an optional opaque square of noise
+function image(width, height, square) {
+  const data = Buffer.alloc(width * height * 4, 128);
+  let seed = 1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      data[offset + 3] = 255;
+      if (square && x >= square.left && x < square.left + square.size && y >= square.top && y < square.top + square.size) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        data[offset] = seed & 0xff;
+        data[offset + 1] = (seed >> 8) & 0xff;
+        data[offset + 2] = (seed >> 16) & 0xff;
+      }
+    }
+  }
+  return { bitmap: { data, width, height } };
+}
+
+describe('cropAround', () => {
+  it('centres the crop on the image by default', () => {
+    assert.deepEqual(cropAround(1000, 500, 400, 400), { x: 300, y: 50, width: 400, height: 400 });
+  });
+
+  it('centres the crop on the focal point', () => {
+    assert.deepEqual(cropAround(1000, 1000, 200, 100, { x: 0.3, y: 0.6 }), { x: 200, y: 550, width: 200, height: 100 });
+  });
+
+  it('keeps the crop inside the image', () => {
+    assert.deepEqual(cropAround(1000, 800, 400, 400, { x: 0, y: 0 }), { x: 0, y: 0, width: 400, height: 400 });
+    assert.deepEqual(cropAround(1000, 800, 400, 400, { x: 1, y: 1 }), { x: 600, y: 400, width: 400, height: 400 });
+    assert.deepEqual(cropAround(1000, 800, 1000, 300, { x: 0.9, y: 0.5 }), { x: 0, y: 250, width: 1000, height: 300 });
+  });
+});
+
+describe('findFocalPoint', () => {
+  it('returns the centre of a flat image', () => {
+    assert.equal(findFocalPoint(image(200, 100)), CENTER);
+  });
+
+  it('finds a detailed area away from the centre', () => {
+    const { x, y } = findFocalPoint(image(300, 200, { left: 220, top: 20, size: 50 }));
+    assert.ok(x > 0.7 && x < 0.9, `x = ${x}`);
+    assert.ok(y > 0.1 && y < 0.3, `y = ${y}`);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import sharp from 'sharp';
+import { embedIccProfile } from '../src/utils/png.js';
+
+// Type and data of every chunk of a PNG, checking each chunk's CRC on the way
+function readChunks(png) {
+  const chunks = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('latin1', offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    assert.equal(png.readUInt32BE(offset + 8 + length), zlib.crc32(png.subarray(offset + 4, offset + 8 + length)), `${type} CRC`);
+    chunks.push({ type, data });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+describe('embedIccProfile', () => {
+  const raw = { width: 4, height: 2, channels: 3 };
+  const pixels = Buffer.from(Array.from({ length: 24 }, (_, index) => index * 10));
+  let png;
+  let icc;
+
+  before(async () => {
+    png = await sharp(pixels, { raw }).png().toBuffer();
+    const p3 = await sharp(pixels, { raw }).withIccProfile('p3').png().toBuffer();
+    ({ icc } = await sharp(p3).metadata());
+  });
+
+  it('adds an iCCP chunk right after IHDR', () => {
+    const chunks = readChunks(embedIccProfile(png, icc));
+    assert.deepEqual(chunks.slice(0, 2).map(chunk => chunk.type), ['IHDR', 'iCCP']);
+    assert.equal(chunks.at(-1).type, 'IEND');
+
+    const { data } = chunks[1];
+    const nameEnd = data.indexOf(0);
+    assert.equal(data.toString('latin1', 0, nameEnd), 'ICC profile');
+    assert.equal(data[nameEnd + 1], 0);
+    assert.deepEqual(zlib.inflateSync(data.subarray(nameEnd + 2)), icc);
+  });
+
+  it('leaves the other chunks as they were', async () => {
+    const tagged = embedIccProfile(png, icc, 'Display P3');
+    const chunks = readChunks(tagged);
+    assert.deepEqual(chunks.filter(chunk => chunk.type !== 'iCCP'), readChunks(png));
+    assert.equal(chunks[1].data.toString('latin1', 0, 11), 'Display P3\0');
+
+    const metadata = await sharp(tagged).metadata();
+    assert.deepEqual(metadata.icc, icc);
+    assert.equal(metadata.width, 4);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import renditionService from '../src/services/rendition-service.js';
+
+describe('resolveRenditions', () => {
+  it('uses the default preset when nothing is requested', () => {
+    const renditions = renditionService.resolveRenditions();
+    assert.deepEqual(renditions.map(rendition => rendition.name), ['thumbnail', 'fullSize']);
+    assert.equal(renditions[0].fit, 'cover');
+    assert.equal(renditions[0].gravity, 'center');
+    assert.deepEqual(renditions[0].formats, ['avif']);
+    // Only renditions cut out of the image have a gravity
+    assert.equal(renditions[1].gravity, undefined);
+  });
+
+  it('appends explicit renditions, given as JSON, to the preset', () => {
+    const renditions = renditionService.resolveRenditions({
+      preset: 'mobile',
+      renditions: '[{"name":"hero","width":1200,"quality":70}]'
+    });
+    assert.deepEqual(renditions.map(rendition => rendition.name), ['thumbnail', 'small', 'hero']);
+    assert.equal(renditions[2].width, 1200);
+    assert.equal(renditions[2].height, null);
+    assert.equal(renditions[2].quality, 70);
+    assert.equal(renditions[2].effort, 4);
+  });
+
+  it('applies the request formats to renditions without their own', () => {
+    const [first, second] = renditionService.resolveRenditions({
+      formats: 'avif, WEBP,avif',
+      renditions: [{ name: 'a' }, { name: 'b', formats: ['jpeg'] }]
+    });
+    assert.deepEqual(first.formats, ['avif', 'webp']);
+    assert.deepEqual(second.formats, ['jpeg']);
+  });
+
+  it('defaults to focal gravity when the request has a focal point', () => {
+    const [rendition] = renditionService.resolveRenditions({
+      renditions: [{ name: 'square', width: 100, height: 100, fit: 'cover' }],
+      focalPoint: { x: 0.2, y: 0.8 }
+    });
+    assert.equal(rendition.gravity, 'focal');
+  });
+
+  it('rejects invalid requests', () => {
+    const cases = [
+      [{ preset: 'nope' }, /Unknown preset 'nope'/],
+      [{ renditions: '[{' }, /Invalid renditions JSON/],
+      [{ renditions: { name: 'a' } }, /renditions must be an array/],
+      [{ renditions: Array.from({ length: 11 }, (_, index) => ({ name: `r${index}` })) }, /Too many renditions: 11/],
+      [{ renditions: [{ name: 'a' }, { name: 'a' }] }, /Duplicate rendition name 'a'/],
+      [{ renditions: ['a'] }, /Rendition at index 0 must be an object/],
+      [{ renditions: [{ name: 'has space' }] }, /needs a name/],
+      [{ gravity: 'left' }, /gravity must be one of center, focal, auto/],
+      [{ gravity: 'focal' }, /gravity 'focal' requires a focalPoint/],
+      [{ formats: 'gif' }, /unknown format 'gif'/],
+      [{ formats: [] }, /formats must be a non-empty list/]
+    ];
+    for (const [request, message] of cases) {
+      assert.throws(() => renditionService.resolveRenditions(request), message);
+    }
+  });
+});
+
+describe('normalizeRendition', () => {
+  const normalize = (rendition) => renditionService.normalizeRendition(rendition, 0);
+
+  it('requires both dimensions for cover and crop', () => {
+    assert.throws(() => normalize({ name: 'a', width: 100, fit: 'cover' }), /fit 'cover' requires both width and height/);
+    assert.throws(() => normalize({ name: 'a', height: 100, fit: 'crop' }), /fit 'crop' requires both width and height/);
+    assert.throws(() => normalize({ name: 'a', fit: 'stretch' }), /fit must be one of contain, cover, crop/);
+  });
+
+  it('checks the numeric ranges', () => {
+    assert.throws(() => normalize({ name: 'a', width: 0 }), /width must be an integer between 1 and 16384/);
+    assert.throws(() => normalize({ name: 'a', height: 1.5 }), /height must be an integer between 1 and 16384/);
+    assert.throws(() => normalize({ name: 'a', quality: 101 }), /quality must be an integer between 1 and 100/);
+    assert.throws(() => normalize({ name: 'a', effort: 10 }), /effort must be an integer between 0 and 9/);
+    assert.throws(() => normalize({ name: 'a', chromaSubsampling: '4:2:2' }), /chromaSubsampling must be one of/);
+    assert.equal(normalize({ name: 'a', width: '640' }).width, 640);
+  });
+
+  it('accepts one of targetBytes and targetSsim', () => {
+    assert.equal(normalize({ name: 'a', targetBytes: 20000 }).targetBytes, 20000);
+    assert.equal(normalize({ name: 'a', targetSsim: '0.98' }).targetSsim, 0.98);
+    assert.throws(() => normalize({ name: 'a', targetBytes: 99 }), /targetBytes must be an integer between 100/);
+    assert.throws(() => normalize({ name: 'a', targetSsim: 1 }), /targetSsim must be a number between 0.5 and 0.999/);
+    assert.throws(() => normalize({ name: 'a', targetBytes: 20000, targetSsim: 0.98 }), /either targetBytes or targetSsim, not both/);
+  });
+
+  it('only allows the original fallback on full-size renditions', () => {
+    assert.equal(normalize({ name: 'a', fallback: 'original' }).fallback, 'original');
+    assert.equal(normalize({ name: 'a', fallback: 'none' }).fallback, undefined);
+    assert.throws(() => normalize({ name: 'a', width: 100, fallback: 'original' }), /only applies to full-size renditions/);
+    assert.throws(() => normalize({ name: 'a', fallback: 'source' }), /fallback must be one of none, original/);
+  });
+});
+
+describe('resolveFocalPoint', () => {
+  it('parses "x,y" and JSON', () => {
+    assert.deepEqual(renditionService.resolveFocalPoint('0.25, .75'), { x: 0.25, y: 0.75 });
+    assert.deepEqual(renditionService.resolveFocalPoint('{"x":0,"y":1}'), { x: 0, y: 1 });
+    assert.deepEqual(renditionService.resolveFocalPoint({ x: 0.5, y: 0.5 }), { x: 0.5, y: 0.5 });
+    assert.equal(renditionService.resolveFocalPoint(''), undefined);
+    assert.equal(renditionService.resolveFocalPoint(undefined), undefined);
+  });
+
+  it('rejects points outside the image and malformed values', () => {
+    for (const value of ['1.5,0.5', '-0.1,0.5', '0.5', '0.1,0.2,0.3', 'a,b', { x: 0.5 }, '{"x":', '1e-1,0.5']) {
+      assert.throws(() => renditionService.resolveFocalPoint(value), /focalPoint/);
+    }
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ssim } from '../src/utils/ssim.js';
+
+// RGBA pixels of a diagonal gradient, with `noise` added to every channel
+function gradient(width, height, { noise = 0, alpha = 255 } = {}) {
+  const data = Buffer.alloc(width * height * 4);
+  let seed = 7;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      const value = (x + y) * 4 + (noise ? (seed % (2 * noise + 1)) - noise : 0);
+      data.fill(Math.min(Math.max(value, 0), 255), offset, offset + 3);
+      data[offset + 3] = alpha;
+    }
+  }
+  return data;
+}
+
+describe('ssim', () => {
+  it('scores identical images 1', () => {
+    const image = gradient(32, 24);
+    assert.equal(ssim(image, Buffer.from(image), 32, 24), 1);
+  });
+
+  it('scores a slightly noisy copy higher than a very noisy one', () => {
+    const image = gradient(32, 24);
+    const slight = ssim(image, gradient(32, 24, { noise: 4 }), 32, 24);
+    const heavy = ssim(image, gradient(32, 24, { noise: 60 }), 32, 24);
+    assert.ok(slight > 0.9 && slight < 1, `slight = ${slight}`);
+    assert.ok(heavy < slight - 0.2, `heavy = ${heavy}`);
+  });
+
+  it('compares transparent pixels as seen over white', () => {
+    const transparent = gradient(16, 16, { alpha: 0 });
+    const white = Buffer.alloc(16 * 16 * 4, 255);
+    assert.equal(ssim(transparent, white, 16, 16), 1);
+    assert.ok(ssim(gradient(16, 16), white, 16, 16) < 0.5);
+  });
+
+  it('handles images smaller than the window', () => {
+    const image = gradient(5, 3);
+    assert.equal(ssim(image, Buffer.from(image), 5, 3), 1);
+  });
+});
@@ -0,0 +1,155 @@
+import express from 'express';
+import winston from 'winston';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import redisService from './src/services/redis-service.js';
+import jobService from './src/services/job-service.js';
+import ConversionWorker from './src/services/conversion-worker.js';
+import storageService from './src/services/storage-service.js';
+import conversionPool from './src/services/conversion-pool.js';
+import admissionController from './src/services/admission-controller.js';
+import metricsService from './src/services/metrics-service.js';
+import { getMemoryUsage } from './src/utils/memory.js';
+
+// Standalone conversion worker: consumes the job queue without serving the API.
+// Also started by server.js when SERVICE_ROLE=worker.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logsDir = path.join(__dirname, 'logs');
+if (!fs.existsSync(logsDir)) {
+  fs.mkdirSync(logsDir);
+}
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: path.join(logsDir, 'error.log'), level: 'error' }),
+    new winston.transports.File({ filename: path.join(logsDir, 'worker.log') }),
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.timestamp({ format: 'HH:mm:ss' }),
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const app = express();
+const port = process.env.WORKER_HEALTH_PORT || 3001;
+const conversionWorker = new ConversionWorker();
+let httpServer = null;
+let shuttingDown = false;
+
+// Liveness: the process is up
+app.get('/health', async (req, res) => {
+  const health = {
+    status: 'healthy',
+    role: 'worker',
+    timestamp: new Date().toISOString(),
+    memory: getMemoryUsage(),
+    redis: redisService.isConnected() ? 'connected' : 'disconnected',
+    worker: conversionWorker.getStats(),
+    conversions: {
+      pool: conversionPool.getStats(),
+      admission: admissionController.getStats()
+    }
+  };
+
+  // Queue depth and recent wait times per priority
+  try {
+    if (redisService.isConnected()) {
+      health.queues = await jobService.getPriorityStats();
+    }
+  } catch (error) {
+    logger.warn('Failed to read queue stats for health:', error.message);
+  }
+
+  res.json(health);
+});
+
+// Readiness: polling the queue with a live Redis connection, and not shutting down
+app.get('/ready', (req, res) => {
+  const ready = !shuttingDown && conversionWorker.isReady();
+  res.status(ready ? 200 : 503).json({
+    ready,
+    redis: redisService.isConnected() ? 'connected' : 'disconnected',
+    worker: conversionWorker.getStats()
+  });
+});
+
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
+  try {
+    if (redisService.isConnected()) {
+      metricsService.setQueueDepths(await jobService.getQueueDepths());
+    }
+  } catch (error) {
+    logger.warn('Failed to read queue depths for metrics:', error.message);
+  }
+
+  try {
+    res.set('Content-Type', metricsService.contentType).send(await metricsService.render());
+  } catch (error) {
+    logger.error('Failed to render metrics:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+function startWorker() {
+  conversionWorker.start().catch(error => {
+    logger.error('Worker crashed:', error.message);
+    // Restart worker after 5 seconds
+    if (!shuttingDown) {
+      setTimeout(startWorker, 5000);
+    }
+  });
+}
+
+async function startWorkerProcess() {
+  try {
+    await redisService.connect();
+    await storageService.initialize();
+
+    startWorker();
+
+    httpServer = app.listen(port, () => {
+      logger.info(`Conversion worker started, health endpoint on port ${port}`, {
+        port,
+        nodeVersion: process.version,
+        initialMemory: getMemoryUsage(),
+        redis: redisService.isConnected() ? 'connected' : 'disconnected'
+      });
+    });
+  } catch (error) {
+    logger.error('Failed to start worker:', error.message);
+    process.exit(1);
+  }
+}
+
+// Finish or hand back in-flight jobs before exiting
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  logger.info(`Received ${signal}, shutting down gracefully`);
+
+  await conversionWorker.stop();
+  await redisService.disconnect();
+  httpServer?.close();
+
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startWorkerProcess();